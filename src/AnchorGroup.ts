@@ -0,0 +1,217 @@
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawContext } from "./Util.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
+import { Group } from "./Group.js";
+
+//===================================================================
+// Anchors for one child of an AnchorGroup.  Each property that is present pins the
+// child to the corresponding edge (or center) of the group with the given offset:
+//   * left, top        distance from our left/top (inner) edge to the child's left/top
+//   * right, bottom    distance from the child's right/bottom to our right/bottom
+//   * centerX, centerY offset of the child's center from our center
+// Child margins are added to these offsets.
+export type AnchorSpec = {
+    left? : number, right? : number, centerX? : number,
+    top? : number, bottom? : number, centerY? : number
+};
+
+//===================================================================
+// A group which keeps its children pinned to its edges as it is resized.  Each child
+// can be anchored to any subset of our left, right, top, and bottom edges and our
+// center (with offsets).  Along each axis:
+//   * a child pinned to both edges is stretched (or shrunk) to keep both offsets,
+//   * a child pinned to one edge or the center keeps its size and moves with that
+//     edge or center, and
+//   * a child with no anchors on the axis is left alone (as in Group).
+// Children are always kept within the limits of their size configuration, so a
+// stretched child may stop short of its far edge.  (If a child is pinned to both
+// edges and the center, the edges win.)
+//
+// Offsets are measured from the area inside our padding, and each child's margins
+// are added to its offsets.  Our minimum size is set so that each anchored child
+// can be given at least its minimum size.
+//===================================================================
+export class AnchorGroup extends Group {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The anchors for each anchored child
+    protected _anchors : Map<DrawnObjectBase, AnchorSpec> = new Map();
+
+    // Anchors of the given child (an empty spec if it has none)
+    public anchorsOf(child : DrawnObjectBase) : AnchorSpec {
+        return this._anchors.get(child) ?? {};
+    }
+
+    // Set the anchors for the given child (which must already be one of our
+    // children), replacing any it previously had
+    public setAnchors(child : DrawnObjectBase, anchors : AnchorSpec) : void {
+        if (this.findChild(child) === -1) return;
+        this._anchors.set(child, {...anchors});
+        this.invalidateLayout();
+        this.damageAll();  // we have damaged our layout...
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add the given child to the end of our child list with the given anchors
+    public addChildAnchored(newChild : DrawnObjectBase,
+                            anchors : AnchorSpec) : DrawnObjectBase
+    {
+        this.addChild(newChild);
+        this.setAnchors(newChild, anchors);
+        return this;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Override removal of children so we drop the record of their anchors
+    public override detachChildAt(indx : number) : DrawnObjectBase | undefined {
+        const child = super.detachChildAt(indx);
+        if (child) this._anchors.delete(child);
+        return child;
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Smallest width and height we can be made (used by Group for our size 
+    // configuration, which is otherwise done as in Group).  This is computed fresh 
+    // on each sizing pass so that every anchored child fits at its minimum size 
+    // along with its offsets, margins, and our padding.
+    protected override _minSize() : [number, number] {
+        const pad = this.padding;
+        let minW = 0;
+        let minH = 0;
+        for (let [child, anch] of this._anchors) {
+            const m = child.margin;
+            minW = Math.max(minW, this._minAlong(anch.left, anch.right, anch.centerX,
+                                                 child.wConfig, m.left + m.right));
+            minH = Math.max(minH, this._minAlong(anch.top, anch.bottom, anch.centerY,
+                                                 child.hConfig, m.top + m.bottom));
+        }
+        return [minW + pad.left + pad.right, minH + pad.top + pad.bottom];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Space needed (inside our padding) along one axis for a child with the given
+    // anchors on that axis, configuration, and total margin on that axis
+    protected _minAlong(
+        start : number | undefined, end : number | undefined, center : number | undefined,
+        config : SizeConfigLiteral, margins : number) : number
+    {
+        if (start === undefined && end === undefined) {
+            // centered children need room for their offset on both sides
+            if (center === undefined) return 0;
+            return config.min + margins + 2 * Math.abs(center);
+        }
+        return (start ?? 0) + config.min + margins + (end ?? 0);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the local portion of the top down pass which sets the final
+    // size and position of the immediate children of this object.  Each anchored
+    // child is positioned and sized along each axis according to its anchors on
+    // that axis (see _placeAlong()).
+    protected override _completeLocalLayout() : void {
+        const pad = this.padding;
+        for (let [child, anch] of this._anchors) {
+            const m = child.margin;
+            const horiz = this._placeAlong(
+                anch.left, anch.right, anch.centerX, child.x, child.w, child.wConfig,
+                pad.left + m.left, this.w - pad.right - m.right);
+            if (horiz) [child.x, child.w] = horiz;
+
+            const vert = this._placeAlong(
+                anch.top, anch.bottom, anch.centerY, child.y, child.h, child.hConfig,
+                pad.top + m.top, this.h - pad.bottom - m.bottom);
+            if (vert) [child.y, child.h] = vert;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Compute the position and size of a child along one axis given its anchors on
+    // that axis, its current position and size, its configuration, and the extent
+    // of the area it is anchored within (already adjusted for our padding and the
+    // child's margins).  Returns [position, size], or undefined if the child has no
+    // anchors on this axis (and so should be left alone).
+    protected _placeAlong(
+        start : number | undefined, end : number | undefined, center : number | undefined,
+        pos : number, size : number, config : SizeConfigLiteral,
+        areaStart : number, areaEnd : number) : [number, number] | undefined
+    {
+        // keep the child's current size, but within its limits
+        size = SizeConfig.withinConfig(size, config);
+
+        if (start !== undefined && end !== undefined) {
+            const newSize = SizeConfig.withinConfig(areaEnd - end - (areaStart + start), config);
+            return [areaStart + start, newSize];
+        } else if (start !== undefined) {
+            return [areaStart + start, size];
+        } else if (end !== undefined) {
+            return [areaEnd - end - size, size];
+        } else if (center !== undefined) {
+            return [(areaStart + areaEnd) / 2 + center - size / 2, size];
+        }
+        return undefined;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+}
+
+//===================================================================
+
+export class AnchorGroup_debug extends AnchorGroup {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    protected override _drawSelfOnly(ctx: DrawContext) : void {
+        ctx.fillStyle = 'aliceblue';
+        ctx.fillRect(0,0,this.w,this.h);
+        ctx.strokeStyle = 'black';
+        ctx.strokeRect(0,0,this.w,this.h);
+
+        super._drawSelfOnly(ctx);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    public draw(ctx : DrawContext) : void {
+        if (this.visible) {
+            this._drawSelfOnly(ctx);
+            this._drawChildren(ctx);
+
+            // also draw an extra box on top of children
+            ctx.strokeStyle = 'black';
+            ctx.strokeRect(0,0,this.w,this.h);
+        }
+    }
+} // end of AnchorGroup_debug class
+
+//===================================================================
@@ -1,6 +1,7 @@
 
-import { SizeConfig } from "./SizeConfig.js";
-import { DrawContext, WJust } from "./Util.js";
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawContext, WJust, ExpandPolicy } from "./Util.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
 import { Group } from "./Group.js";
 import { Spring } from "./Spring.js";
 import { Strut } from "./Strut.js";
@@ -14,14 +15,17 @@ import { Strut } from "./Strut.js";
 // 
 // This object must be given a height either by its parent during layout, 
 // or simply in advance when the parent isn't doing layout (e.g., when the 
-// parent is a Group, TopObject, DrawnObjectBase, etc.).  It's width will
-// automatically be set to a fixed size which matches the maximum natural size
-// among it's children.
+// parent is a Group, TopObject, DrawnObjectBase, etc.).  It's width is the 
+// width it is given (by its parent during layout, or in advance), kept within the
+// range its children can fit into (from the maximum of their min widths to the
+// maximum of their max widths).
 //
 // Children are sized in height using springs and struts layout rules.  In width
-// they are set to their natural size.  Children are positioned to be stacked
-// vertically.  Horizontally they are left, center, or right justified
-// (as controlled by the wJustification property of this object).
+// they are set to their natural size (or narrower, down to their min, when that 
+// doesn't fit within our width).  Children are positioned to be stacked
+// vertically.  Horizontally they are left, center, or right justified, or
+// stretched to the width of the column within the limits of their width 
+// configuration (as controlled by the wJustification property of this object).
 //===================================================================
 export class Column extends Group { 
 
@@ -52,10 +56,33 @@ export class Column extends Group {
     public set wJustification(v : WJust) {
         if (!(v === this._wJustification)) {
             this._wJustification = v;
+            this.invalidateLayout();
             this.damageAll();  // we have damaged our layout...
         }
     }
 
+    // How is excess space along the height of the column used.  With 'springs' (the 
+    // default) it is given only to Spring children.  With 'fill', whatever the 
+    // springs can't take (e.g., because there are none) is given to the elastic 
+    // non-spring children, up to their max size.
+    protected _expansionPolicy : ExpandPolicy = 'springs';
+    public get expansionPolicy() {return this._expansionPolicy;}
+    public set expansionPolicy(v : ExpandPolicy) {
+        if (!(v === this._expansionPolicy)) {
+            this._expansionPolicy = v;
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our layout...
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our height depends on our width whenever the height of any of our children 
+    // depends on theirs (since the widths of our children depend on ours)
+    public override get heightDependsOnWidth() : boolean {
+        return this.children.some((ch) => ch.heightDependsOnWidth);
+    }
+
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
   
     // Override h setter so it enforces fixed size
@@ -66,6 +93,7 @@ export class Column extends Group {
             this.damageAll();
             this._h = v;
             this._hConfig = SizeConfig.fixed(v);
+            this.invalidateLayout();
             // damage at new size
             this.damageAll();
         } 
@@ -91,62 +119,113 @@ export class Column extends Group {
     // minimum of the child maximums.
     //
     // Our height is set to the height determined by stacking our children vertically.
+    // Since the heights of some children may depend on their widths, this is done 
+    // at the width we currently have (see heightForWidth()), and our parent 
+    // negotiates it again once it has decided on our width.
+    //
+    // In all of this each child's margins are added to the child's configuration 
+    // (i.e., to the space it takes up), and our padding is then added to both of 
+    // our configurations.
     protected override _doLocalSizing() : void {
         //===YOUR CODE HERE ===
         // initialize values for loop through childre
         let minW = 0;
         let naturalW = 0;
         let maxW = 0;
-        let minH = 0;
-        let naturalH = 0;
-        let maxH = 0;
 
         for (let child of this.children){
-            // sum up the height configurations of children
-            minH += child.hConfig.min;
-            naturalH += child.hConfig.nat;
-            maxH += child.hConfig.max;
-        
+            // margins add fixed space around the child
+            const marginW = child.margin.left + child.margin.right;
+
             // find max value of child width to fit the biggest children
-            minW = Math.max(minW, child.wConfig.min);
-            naturalW = Math.max(naturalW, child.wConfig.nat);
-            maxW = Math.max(maxW, child.wConfig.max);
+            minW = Math.max(minW, child.wConfig.min + marginW);
+            naturalW = Math.max(naturalW, child.wConfig.nat + marginW);
+            maxW = Math.max(maxW, child.wConfig.max + marginW);
         }
+
+        // our padding adds fixed space around all the children
+        const padW = this.padding.left + this.padding.right;
         
         // we get the result, assign to the configuration of column
-        this.hConfig = new SizeConfig(naturalH, minH, maxH);
-        this.wConfig = new SizeConfig(naturalW, minW, maxW);
+        this.wConfig = new SizeConfig(naturalW + padW, minW + padW, maxW + padW);
+        this.hConfig = this.heightForWidth(SizeConfig.withinConfig(this.w, this.wConfig));
+    }
 
-        
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Return the height configuration we would have if given the proposed width.
+    // This sums the height configurations of the children (plus their margins and
+    // our padding) using the height each child would have at the width it would 
+    // be given (see _childWidth()).  This does not modify the children.
+    public override heightForWidth(proposedW : number) : SizeConfigLiteral {
+        const pad = this.padding;
+        const innerW = proposedW - pad.left - pad.right;
+        let minH = 0;
+        let naturalH = 0;
+        let maxH = 0;
+
+        for (let child of this.children){
+            // margins add fixed space around the child
+            const marginH = child.margin.top + child.margin.bottom;
+
+            // sum up the height configurations of children (at the width they will get)
+            const hConf = child.heightForWidth(this._childWidth(child, innerW));
+            minH += hConf.min + marginH;
+            naturalH += hConf.nat + marginH;
+            maxH += hConf.max + marginH;
+        }
+
+        const padH = pad.top + pad.bottom;
+        return new SizeConfig(naturalH + padH, minH + padH, maxH + padH);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Width the given child will be given within the given width available to the 
+    // children (inside our padding): its natural width if that fits (alongside its
+    // margins), otherwise the available width less its margins.  When we stretch 
+    // children they are always given the available width less their margins.  In 
+    // either case this is kept within the limits of the child's width configuration.
+    protected _childWidth(child : DrawnObjectBase, innerW : number) : number {
+        const availW = innerW - child.margin.left - child.margin.right;
+        if (this._wJustification === 'stretch') {
+            return SizeConfig.withinConfig(availW, child.wConfig);
+        }
+        return SizeConfig.withinConfig(Math.min(availW, child.wConfig.nat), child.wConfig);
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // This method adjusts the height of the children to do vertical springs and struts 
     // layout within the column.  If there is excess space beyond the natural size of 
-    // the children, Spring objects are expanded (all by the same amount) to cause 
-    // the layout to fill the height of the column.  Non-spring objects are currently
-    // not stretched (even if there are no springs).  If there is a shortfall in the 
-    // natural size space available we attempt to make up the shortfall by compressing 
-    // child objects. Springs are compressed to 0.  Then non-spring children are 
-    // compressed within the limits set by their configuration (specifically their 
+    // the children, Spring objects are expanded (in proportion to their weights and 
+    // within their limits, see Spring.distributeExcess()) to cause the layout to fill
+    // the height of the column.  Non-spring objects are only stretched when our 
+    // expansionPolicy is 'fill', in which case any excess the springs don't take 
+    // (including all of it when there are no springs) is given to them.  If there 
+    // is a shortfall in the natural size space available we attempt to make up the
+    // shortfall by compressing child objects.  Springs give up space first (in 
+    // proportion to their weights and down to their minExtent, see 
+    // Spring.distributeShortfall()).  Then non-spring children are compressed for 
+    // what remains, within the limits set by their configuration (specifically their
     // hConfig.min value). No child objects are compressed past their configured min
     // (if the shortfall can't be made up, later clipping will occur at the bottom).
     protected _adjustChildren() {
         // get measurements from our children
         const [natSum, availCompr, numSprings] = this._measureChildren();
 
-        // given space allocation from our parent, determine how much vertical excess 
-        // we have in comparison to our children's natural sizes 
-        let excess = this.h - natSum;
+        // given space allocation from our parent (less our padding), determine how much 
+        // vertical excess we have in comparison to our children's natural sizes 
+        let excess = this.h - this.padding.top - this.padding.bottom - natSum;
         // handle positive excess and negative excess (AKA shortfall) as separate cases
         if (excess >= 0) {
-            this._expandChildSprings(excess, numSprings);
+            const leftover = this._expandChildSprings(excess, numSprings);
+
+            // if our policy says so, give what the springs didn't take to other children
+            if (this._expansionPolicy === 'fill') this._expandChildren(leftover);
         } else { // negative excess (AKA shortfall) case
-            // zero out the size of all the springs
-            for (let child of this.children) {
-                if (child instanceof Spring) child.h = 0;
-            }
+            // take what we can out of the springs (by weight, within their limits)
+            let shortfall = this._compressChildSprings(-excess, numSprings);
 
             // if we have no compressability we are done
             // (we will end up clipping at the bottom as a fallback strategy)
@@ -154,7 +233,6 @@ export class Column extends Group {
             
             // don't try to make up more shortfall than we have available ompressability.  
             // (any remander will force a clip at the bottom)
-            let shortfall = -excess; 
             shortfall = Math.min(availCompr, shortfall);
 
             // compress the child sizes to make up the shortfall
@@ -166,14 +244,16 @@ export class Column extends Group {
 
     // Measure aspects of the children in preparation for adjusting sizes.  This 
     // returns an tuple  with the following computed values (all numbers):
-    //   * natSum      The sum of natural sizes of the non-spring children
+    //   * natSum      The sum of natural sizes of the non-spring children along with 
+    //                 the natExtent of the springs and the margins of all children
     //   * availCompr  The total compression available across the non-spring children
     //                 Compression for a single child is the difference between their
     //                 natural and minimum sizes (nat-min).
     //   * numSprings  The number of springs among the child objects.
     protected _measureChildren() : [number, number, number] {
         // walk across the children and measure the following:
-        // - sum up the natural size of all our non-spring children
+        // - sum up the natural size of all our non-spring children (and the 
+        //   natural extent of the springs)
         // - how much non-spring objects can compress (nat-min) total
         // - how many springs we have
         let natSum = 0;  
@@ -183,9 +263,13 @@ export class Column extends Group {
         //===YOUR CODE HERE ===
         // iterate through all children
         for (let child of this.children) {
+            // margins take up fixed space along with every child
+            natSum += child.margin.top + child.margin.bottom;
+
             // if the child is a spring, accumulate spring count - how many springs we have
             if (child instanceof Spring){
-                numSprings += 1
+                numSprings += 1;
+                natSum += child.natExtent;
             }else{
                 // sum up the natural size of all our non-spring children
                 natSum += child.hConfig.nat;
@@ -201,32 +285,70 @@ export class Column extends Group {
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // Expand  our child springs to add space in total equal to the given amount of
-    // excess space. Expansion space is allocated evenly among the springs. If there 
-    // are no child springs, this does nothing (which has the eventual effect of leaving 
-    // the space at the bottom of the column as a fallback strategy).
-    protected _expandChildSprings(excess : number, numSprings : number) : void {
-        //===YOUR CODE HERE ===
+    // excess space. Expansion space is allocated among the springs in proportion to
+    // their weights, with springs that reach their maxExtent held there and the rest 
+    // of the space redistributed to the others (see Spring.distributeExcess()). If 
+    // there are no child springs (or they can't take all the space), the remainder 
+    // is returned (and by default ends up at the bottom of the column as a fallback 
+    // strategy).
+    protected _expandChildSprings(excess : number, numSprings : number) : number {
         // if there's no springs, no expansion for spring
-        if (numSprings == 0){
-            return;
+        if (numSprings === 0) return excess;
+
+        // divide the excess among the springs and assign their resulting sizes
+        const springs : Spring[] = [];
+        for (let child of this.children) {
+            if (child instanceof Spring) springs.push(child);
         }
-        // calculate average excess space assigned for each spring
-        let eachExcess = excess / numSprings;
+        const [sizes, leftover] = Spring.distributeExcess(springs, excess);
+        for (let i = 0; i < springs.length; i++) springs[i].h = sizes[i];
+        return leftover;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Compress our child springs to make up as much as they can of the given amount 
+    // of shortfall.  Each spring gives up space in proportion to its weight, with 
+    // springs that reach their minExtent held there and the rest of the shortfall
+    // taken from the others (see Spring.distributeShortfall()).  The part of the 
+    // shortfall the springs could not make up is returned.
+    protected _compressChildSprings(shortfall : number, numSprings : number) : number {
+        // if there's no springs, they can't make up any of it
+        if (numSprings === 0) return shortfall;
+
+        // take the shortfall out of the springs and assign their resulting sizes
+        const springs : Spring[] = [];
         for (let child of this.children) {
-            // assign the space (height) of each spring
-            if (child instanceof Spring) {
-                child.h = eachExcess; 
-            }
+            if (child instanceof Spring) springs.push(child);
         }
+        const [sizes, leftover] = Spring.distributeShortfall(springs, shortfall);
+        for (let i = 0; i < springs.length; i++) springs[i].h = sizes[i];
+        return leftover;
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Contract our child objects to make up the given amount of shortfall.  Springs
-    // have a zero natural size (which is already assumed in calculating the shortfall),
-    // so we need to make up the shortfall among the other children by 
-    // using space that they can compress (i.e., the difference between their min and
-    // natural sizes).  Each child is compressed by a fraction of the total compression
+    // Expand our non-spring child objects to add space in total equal to the given 
+    // amount of excess space.  Each child starts at its natural size and the excess is
+    // divided evenly among the children that are elastic, but no child is expanded 
+    // past its configured max (with what it could not take going to the others).  
+    // Any excess that can't be allocated ends up at the bottom of the column.
+    protected _expandChildren(excess : number) : void {
+        const kids : DrawnObjectBase[] = [];
+        for (let child of this.children) {
+            if (!(child instanceof Spring)) kids.push(child);
+        }
+        const [sizes] = SizeConfig.distributeExcess(kids.map((ch) => ch.hConfig), 
+                                                    kids.map(() => 1), excess);
+        for (let i = 0; i < kids.length; i++) kids[i].h = sizes[i];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Contract our non-spring child objects to make up the given amount of shortfall
+    // (what remains after the springs have given up what they can, see 
+    // _compressChildSprings()) by using space that they can compress (i.e., the 
+    // difference between their min and natural sizes).  Each child is compressed by a fraction of the total compression
     // that is equal to its fraction of the available compressability.
     protected _compressChildren(
         shortfall : number,   // amount we need to compress overall
@@ -257,51 +379,63 @@ export class Column extends Group {
     // been done in a prior pass, and that our parent has completed its layout and 
     // set our size (or our size was otherwise set). 
     //
-    // We use _adjustChidren() to resize the children to match the mandated 
-    // height of this column. Then we position the children stacked vertically,
-    // and justified horizontally (based on wJustification).  Any vertical space
-    // excess that _adjustChildren() couldn't allocate to springs will appear at 
-    // the bottom of the stack.  Any vertical shortfall that couldn't be compressed
-    // out of children will result in clipping at the bottom.
+    // We first set the widths of the children to fit within the width we were given
+    // (see _childWidth()), and negotiate the heights of any children whose height 
+    // depends on their width.  We then use _adjustChidren() to resize the children to match the 
+    // mandated height of this column. Then we position the children stacked 
+    // vertically, and justified horizontally (based on wJustification).  Any 
+    // vertical space excess that _adjustChildren() couldn't allocate to springs will
+    // appear at the bottom of the stack.  Any vertical shortfall that couldn't be compressed
+    // out of children will result in clipping at the bottom.  All of this is done 
+    // inside our padding, with each child's margins left around it.
     protected override _completeLocalLayout() : void { 
         // if we have no children we can be done now (and avoid some edge cases)
         if (this.children.length === 0) return;
 
-        // set the height of all the children 
-        this._adjustChildren();
+        // keep the width we were given, but within the range our children fit into
+        const pad = this.padding;
+        this.w = SizeConfig.withinConfig(this.w, this.wConfig);
+
+        // width available to the children inside our padding
+        const innerW = this.w - pad.left - pad.right;
 
-        // set child widths to their natural widths 
-        let wMax : number = 0;
+        // set child widths to fit that, then start each child at its natural height
+        // for that width (negotiating heights that depend on width)
         for (let child of this.children) {
-            child.w = child.wConfig.nat;
-            if (child.w > wMax) wMax = child.w;
+            child.w = this._childWidth(child, innerW);
+            child.h = this._negotiateChildHeight(child, child.w).nat;
         }
-        
-        // shrinkwrap: set our width to the width of the widest child
-        this.w = this.wConfig.nat = wMax;
+
+        // set the height of all the children 
+        this._adjustChildren();
 
         // stack up the children in the vertical
-        let ypos : number = 0;
+        let ypos : number = pad.top;
         for (let child of this.children) {
-            child.y = ypos;
-            ypos += child.h;
+            const m = child.margin;
+            child.y = ypos + m.top;
+            ypos += m.top + child.h + m.bottom;
             // apply our justification setting for the horizontal
         
             //=== YOUR CODE HERE ===
             switch(this._wJustification){
-                // if left, we start from x = 0 position
+                // if left, we start from the left (inside padding and margin)
                 case 'left':
-                    child.x = 0;
+                    child.x = pad.left + m.left;
                     break;
                 case 'center':
-                    child.x = this.w/2 - child.w/2
+                    child.x = pad.left + m.left + (innerW - m.left - m.right)/2 - child.w/2
                     break;
                 // if at right, remember to include the width of the child
                 case 'right':
-                    child.x = this.w - child.w;
+                    child.x = pad.left + innerW - m.right - child.w;
+                    break;
+                // if stretching, the child was sized to our width (see _childWidth())
+                case 'stretch':
+                    child.x = pad.left + m.left;
                     break;
                 default:
-                    child.x = 0;
+                    child.x = pad.left + m.left;
             }
     
         }
@@ -0,0 +1,329 @@
+import { DrawContext } from "./Util.js";
+import { SizeConfig } from "./SizeConfig.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
+import { Group } from "./Group.js";
+import { Err } from "./Err.js";
+import { ConstraintSolver, Constraint, ConstraintOp, ConstraintStrength, Expression,
+         Variable, strengthValue } from "./ConstraintSolver.js";
+
+//===================================================================
+// Attributes of an object which can be used in constraints
+export type ConstraintAttr =
+    'x' | 'y' | 'w' | 'h' |           // position and size
+    'right' | 'bottom' |              // x+w and y+h
+    'centerX' | 'centerY';            // x+w/2 and y+h/2
+
+// Solver variables for the position and size of one object
+type ConstraintVars = {x : Variable, y : Variable, w : Variable, h : Variable};
+
+//===================================================================
+// A container which positions and sizes its children using linear constraints
+// (as an alternative to the springs and struts used by Row and Column).
+//
+// Callers declare linear equalities or inequalities over the x, y, w, and h of the
+// children, for example:
+//    grp.addConstraint(grp.attr(sidebar, 'right'), '==',
+//                      grp.attr(header, 'x').plus(8));
+//    grp.addConstraint(grp.attr(left, 'w'), '==', grp.attr(right, 'w'), 'strong');
+// The group itself can also be used in constraints, where its x, y, w, and h
+// describe the area inside its padding (in its own coordinates).
+//
+// Each constraint has a strength: 'required' constraints must be satisfied
+// exactly, while 'strong', 'medium', and 'weak' ones are satisfied as well as
+// possible (with stronger ones taking precedence).  In addition to the declared
+// constraints, each child weakly prefers its natural size and its previous position,
+// and strongly prefers to stay within the min and max of its size configuration.
+// The size of the group itself (which is set by our parent) takes precedence over
+// everything but required constraints.
+//
+// Constraints are solved with an incremental (Cassowary style) solver during the
+// _completeLocalLayout() part of layout.  Constraints added since the last layout
+// are added to the solver at that point, and a required constraint which conflicts
+// with the required constraints already present is reported via Err.handle() and
+// then dropped.
+//
+// Like Group, this object does not change its own size based on its children.
+//===================================================================
+export class ConstraintGroup extends Group {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+        this._ownVars = this._makeVars(this, ConstraintGroup.OWN_SIZE_STRENGTH);
+    }
+
+    //-------------------------------------------------------------------
+    // Constants
+    //-------------------------------------------------------------------
+
+    // Strength with which our own (padded) area is imposed on the solver.  This is
+    // stronger than any non-required constraint (but edit values in the solver
+    // can't be required).
+    public static readonly OWN_SIZE_STRENGTH = strengthValue('strong') * 100;
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The incremental solver used for our layout
+    protected _solver : ConstraintSolver = new ConstraintSolver();
+
+    // Solver variables for ourselves and each of our children
+    protected _ownVars : ConstraintVars;
+    protected _childVars : Map<DrawnObjectBase, ConstraintVars> = new Map();
+
+    // The constraints declared for this group (whether or not they have been added to
+    // the solver yet)
+    protected _constraints : Constraint[] = [];
+    public get constraints() : readonly Constraint[] {return this._constraints;}
+
+    // Declared constraints which have not yet been added to the solver
+    protected _pending : Constraint[] = [];
+
+    // Constraints currently keeping each child within the min and max of its size
+    // configuration, along with the values they were made for
+    protected _limits : Map<DrawnObjectBase, {key : string, cons : Constraint[]}> =
+        new Map();
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Override adding of children so we can create solver variables for them.  A 
+    // child which is already ours is just moved within our child list (rather than 
+    // being detached first, which would drop its variables and constraints).
+    public override addChildAt(newChild : DrawnObjectBase,
+                               indx : number = this.children.length) : DrawnObjectBase
+    {
+        const oldIndx = this.findChild(newChild);
+        if (oldIndx !== -1) {
+            this._children.splice(oldIndx, 1);
+            indx = Math.max(0, Math.min(indx, this.children.length));
+            this._children.splice(indx, 0, newChild);
+            this.invalidateLayout();
+            this.damageAll();
+            return this;
+        }
+
+        super.addChildAt(newChild, indx);
+        if (!this._childVars.has(newChild)) {
+            this._childVars.set(newChild, this._makeVars(newChild, 'weak'));
+        }
+        this.damageAll();
+        return this;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Override removal of children so we drop their variables along with any
+    // constraints that refer to them
+    public override detachChildAt(indx : number) : DrawnObjectBase | undefined {
+        const child = super.detachChildAt(indx);
+        if (!child) return child;
+        const vars = this._childVars.get(child);
+        if (!vars) return child;
+
+        const uses = (c : Constraint) =>
+            [vars.x, vars.y, vars.w, vars.h].some((v) => c.expression.terms.has(v));
+        for (let c of this._constraints.filter(uses)) this.removeConstraint(c);
+        this._removeLimits(child);
+        for (let v of [vars.x, vars.y, vars.w, vars.h]) this._solver.removeEditVariable(v);
+        this._childVars.delete(child);
+        return child;
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Return an expression for the given attribute of the given object, which must
+    // be either one of our children or this group itself (in which case the values
+    // describe the area inside our padding).  This is used to build up constraints.
+    public attr(obj : DrawnObjectBase, which : ConstraintAttr) : Expression {
+        const vars = (obj === this) ? this._ownVars : this._childVars.get(obj);
+        if (!vars) {
+            throw new Error(`${obj.tagString()} is not a child of ${this.tagString()}`);
+        }
+        switch (which) {
+            case 'x':       return Expression.from(vars.x);
+            case 'y':       return Expression.from(vars.y);
+            case 'w':       return Expression.from(vars.w);
+            case 'h':       return Expression.from(vars.h);
+            case 'right':   return Expression.from(vars.x).plus(vars.w);
+            case 'bottom':  return Expression.from(vars.y).plus(vars.h);
+            case 'centerX': return Expression.from(vars.x).plus(Expression.from(vars.w).times(0.5));
+            case 'centerY': return Expression.from(vars.y).plus(Expression.from(vars.h).times(0.5));
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Declare the constraint: lhs op rhs with the given strength, and return the
+    // resulting Constraint object (which can be used to remove it later).  The
+    // constraint is added to the solver at the next layout.
+    public addConstraint(
+        lhs : Expression | number,
+        op : ConstraintOp,
+        rhs : Expression | number,
+        strength : ConstraintStrength = 'required') : Constraint
+    {
+        const result = new Constraint(lhs, op, rhs, strength);
+        this._constraints.push(result);
+        this._pending.push(result);
+        this.invalidateLayout();
+        this.damageAll();  // we have damaged our layout...
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Remove a previously declared constraint.  Returns false if the constraint
+    // was not found.
+    public removeConstraint(c : Constraint) : boolean {
+        const indx = this._constraints.indexOf(c);
+        if (indx === -1) return false;
+        this._constraints.splice(indx, 1);
+        const pendIndx = this._pending.indexOf(c);
+        if (pendIndx !== -1) this._pending.splice(pendIndx, 1);
+        if (this._solver.hasConstraint(c)) this._solver.removeConstraint(c);
+        this.invalidateLayout();
+        this.damageAll();  // we have damaged our layout...
+        return true;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create the variables for the given object and make them edit variables
+    // (so we can suggest a position and size for them) at the given strength.
+    protected _makeVars(
+        obj : DrawnObjectBase,
+        strength : ConstraintStrength | number) : ConstraintVars
+    {
+        const tag = obj.tagString();
+        const result = {x: new Variable(tag + '.x'), y: new Variable(tag + '.y'),
+                        w: new Variable(tag + '.w'), h: new Variable(tag + '.h')};
+        for (let v of [result.x, result.y, result.w, result.h]) {
+            this._solver.addEditVariable(v, strength);
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Update the (strong) constraints keeping the given child within the min and max
+    // of its size configuration.  These are only replaced when the limits change.
+    protected _updateLimits(child : DrawnObjectBase, vars : ConstraintVars) : void {
+        const wc = child.wConfig;
+        const hc = child.hConfig;
+        const key = `${wc.min},${wc.max},${hc.min},${hc.max}`;
+        if (this._limits.get(child)?.key === key) return;
+
+        this._removeLimits(child);
+        const cons = [new Constraint(vars.w, '>=', wc.min, 'strong'),
+                      new Constraint(vars.h, '>=', hc.min, 'strong')];
+        // (there is no max constraint for unlimited sizes)
+        if (wc.max < SizeConfig.INF) cons.push(new Constraint(vars.w, '<=', wc.max, 'strong'));
+        if (hc.max < SizeConfig.INF) cons.push(new Constraint(vars.h, '<=', hc.max, 'strong'));
+        for (let c of cons) this._solver.addConstraint(c);
+        this._limits.set(child, {key, cons});
+    }
+
+    // Remove the size limit constraints for the given child (if any)
+    protected _removeLimits(child : DrawnObjectBase) : void {
+        const lim = this._limits.get(child);
+        if (!lim) return;
+        for (let c of lim.cons) this._solver.removeConstraint(c);
+        this._limits.delete(child);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the local portion of the top down pass which sets the final
+    // size and position of the immediate children of this object.
+    //
+    // We bring the solver up to date (our own padded area, the preferred position,
+    // size and limits for each child, and any newly declared constraints), then copy
+    // the solution into the position and size of each child.  Newly declared
+    // constraints which can't be satisfied are reported via Err.handle() and dropped.
+    protected override _completeLocalLayout() : void {
+        const pad = this.padding;
+        this._solver.suggestValue(this._ownVars.x, pad.left);
+        this._solver.suggestValue(this._ownVars.y, pad.top);
+        this._solver.suggestValue(this._ownVars.w, this.w - pad.left - pad.right);
+        this._solver.suggestValue(this._ownVars.h, this.h - pad.top - pad.bottom);
+
+        for (let [child, vars] of this._childVars) {
+            this._updateLimits(child, vars);
+            this._solver.suggestValue(vars.x, child.x);
+            this._solver.suggestValue(vars.y, child.y);
+            this._solver.suggestValue(vars.w, child.wConfig.nat);
+            this._solver.suggestValue(vars.h, child.hConfig.nat);
+        }
+
+        const pending = this._pending;
+        this._pending = [];
+        for (let c of pending) {
+            try {
+                this._solver.addConstraint(c);
+            } catch (err) {
+                // drop the constraint and report the problem
+                this._constraints.splice(this._constraints.indexOf(c), 1);
+                Err.handle(err, `(Adding constraint in ${this.tagString()})`);
+            }
+        }
+
+        this._solver.updateVariables();
+        for (let [child, vars] of this._childVars) {
+            child.x = vars.x.value;
+            child.y = vars.y.value;
+            child.w = vars.w.value;
+            child.h = vars.h.value;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+}
+
+//===================================================================
+
+export class ConstraintGroup_debug extends ConstraintGroup {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    protected override _drawSelfOnly(ctx: DrawContext) : void {
+        ctx.fillStyle = 'mistyrose';
+        ctx.fillRect(0,0,this.w,this.h);
+        ctx.strokeStyle = 'black';
+        ctx.strokeRect(0,0,this.w,this.h);
+
+        super._drawSelfOnly(ctx);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    public draw(ctx : DrawContext) : void {
+        if (this.visible) {
+            this._drawSelfOnly(ctx);
+            this._drawChildren(ctx);
+
+            // also draw an extra box on top of children
+            ctx.strokeStyle = 'black';
+            ctx.strokeRect(0,0,this.w,this.h);
+        }
+    }
+} // end of ConstraintGroup_debug class
+
+//===================================================================
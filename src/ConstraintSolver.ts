@@ -0,0 +1,736 @@
+//===================================================================
+// Classes implementing an incremental linear constraint solver in the style of
+// the Cassowary algorithm (following the structure of the Kiwi implementation of
+// that algorithm).
+//
+// Constraints are linear equalities or inequalities over Variable objects, built
+// from Expression objects (a sum of variables times coefficients plus a constant).
+// Each constraint has a strength.  Required constraints must be satisfied exactly,
+// and adding one that conflicts with the required constraints already present
+// throws an exception.  Non-required constraints (strong, medium, weak) are
+// satisfied as well as possible, with stronger ones always taking precedence over
+// weaker ones.
+//
+// The solver is incremental: constraints can be added and removed one at a time,
+// and "edit" variables can be given new suggested values, with each change
+// re-optimizing from the previous solution rather than starting over.  Variable
+// values are only updated when updateVariables() is called.
+//===================================================================
+
+// Named strengths for constraints
+export type ConstraintStrength = 'required' | 'strong' | 'medium' | 'weak';
+
+// Comparison operators for constraints
+export type ConstraintOp = '==' | '<=' | '>=';
+
+//-------------------------------------------------------------------
+
+// Numeric values used for the strengths.  Each level is large enough that no
+// reasonable number of constraints at the level below can outweigh it.
+const STRENGTH_VALUES : {[k in ConstraintStrength] : number} = {
+    'required' : 1001001000,
+    'strong'   : 1000000,
+    'medium'   : 1000,
+    'weak'     : 1,
+};
+
+// Convert a strength to its numeric value (numeric values are clamped to be no
+// more than required strength)
+export function strengthValue(strength : ConstraintStrength | number) : number {
+    if (typeof strength === 'number') {
+        return Math.max(0, Math.min(strength, STRENGTH_VALUES['required']));
+    }
+    return STRENGTH_VALUES[strength];
+}
+
+// Tolerance for treating a floating point value as zero
+const EPSILON = 1.0e-8;
+function nearZero(v : number) : boolean {return (v < 0) ? (-v < EPSILON) : (v < EPSILON);}
+
+//===================================================================
+// A variable whose value is determined by the solver
+//===================================================================
+export class Variable {
+    public constructor(name : string = '') {
+        this._name = name;
+    }
+
+    // Name of this variable (for debugging)
+    protected _name : string;
+    public get name() : string {return this._name;}
+
+    // Current value of the variable (as of the last ConstraintSolver.updateVariables())
+    protected _value : number = 0;
+    public get value() : number {return this._value;}
+    public set value(v : number) {this._value = v;}
+
+    public toString() : string {return this._name + '=' + this._value;}
+}
+
+//===================================================================
+// A linear expression: a sum of terms (each a variable times a coefficient) plus
+// a constant.  Expressions are immutable; the arithmetic methods return new
+// expressions.
+//===================================================================
+export class Expression {
+    public constructor(
+        terms : Iterable<[Variable, number]> = [],  // (variable, coefficient) pairs
+        constant : number = 0)
+    {
+        this._terms = new Map();
+        for (let [v, coeff] of terms) {
+            this._terms.set(v, (this._terms.get(v) ?? 0) + coeff);
+        }
+        this._constant = constant;
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Map from each variable in the expression to its coefficient
+    protected _terms : Map<Variable, number>;
+    public get terms() : ReadonlyMap<Variable, number> {return this._terms;}
+
+    // Constant part of the expression
+    protected _constant : number;
+    public get constant() : number {return this._constant;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Convert a variable, number, or expression into an expression
+    public static from(v : Expression | Variable | number) : Expression {
+        if (v instanceof Expression) return v;
+        if (v instanceof Variable) return new Expression([[v, 1]]);
+        return new Expression([], v);
+    }
+
+    // Return the sum of this expression and another value
+    public plus(other : Expression | Variable | number) : Expression {
+        const oth = Expression.from(other);
+        return new Expression([...this._terms, ...oth._terms],
+                              this._constant + oth._constant);
+    }
+
+    // Return the difference of this expression and another value
+    public minus(other : Expression | Variable | number) : Expression {
+        return this.plus(Expression.from(other).times(-1));
+    }
+
+    // Return this expression multiplied by a constant
+    public times(coeff : number) : Expression {
+        const terms : [Variable, number][] = [];
+        for (let [v, c] of this._terms) terms.push([v, c * coeff]);
+        return new Expression(terms, this._constant * coeff);
+    }
+
+    // Value of the expression given the current values of its variables
+    public value() : number {
+        let result = this._constant;
+        for (let [v, c] of this._terms) result += v.value * c;
+        return result;
+    }
+}
+
+//===================================================================
+// A linear constraint of the form: lhs op rhs, along with a strength.  Internally
+// this is kept as an expression (lhs - rhs) compared with zero.
+//===================================================================
+export class Constraint {
+    public constructor(
+        lhs : Expression | Variable | number,
+        op : ConstraintOp,
+        rhs : Expression | Variable | number = 0,
+        strength : ConstraintStrength | number = 'required')
+    {
+        this._expression = Expression.from(lhs).minus(rhs);
+        this._op = op;
+        this._strength = strengthValue(strength);
+    }
+
+    // Expression which is compared with zero
+    protected _expression : Expression;
+    public get expression() : Expression {return this._expression;}
+
+    // Comparison operator
+    protected _op : ConstraintOp;
+    public get op() : ConstraintOp {return this._op;}
+
+    // Numeric strength of the constraint (see strengthValue())
+    protected _strength : number;
+    public get strength() : number {return this._strength;}
+
+    // Is this a required constraint
+    public get required() : boolean {return this._strength >= STRENGTH_VALUES['required'];}
+}
+
+//===================================================================
+// Internal bookkeeping classes for the solver
+//===================================================================
+
+type SymbolType = 'invalid' | 'external' | 'slack' | 'error' | 'dummy';
+
+// A symbol used in the tableau of the solver.  External symbols correspond to
+// Variables; the others are introduced by the solver itself.
+class SolverSymbol {
+    public constructor(public readonly type : SymbolType, public readonly id : number) {}
+}
+
+const INVALID_SYMBOL = new SolverSymbol('invalid', -1);
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// A row of the tableau: a constant plus a set of symbols with coefficients
+class SolverRow {
+    public constructor(constant : number = 0) {
+        this.constant = constant;
+    }
+
+    public cells : Map<SolverSymbol, number> = new Map();
+    public constant : number;
+
+    public copy() : SolverRow {
+        const result = new SolverRow(this.constant);
+        result.cells = new Map(this.cells);
+        return result;
+    }
+
+    // Add a constant value to the row constant, returning the new constant
+    public add(v : number) : number {return this.constant += v;}
+
+    // Add a symbol with the given coefficient (removing it if that cancels it out)
+    public insertSymbol(sym : SolverSymbol, coeff : number = 1) : void {
+        const c = (this.cells.get(sym) ?? 0) + coeff;
+        if (nearZero(c)) {
+            this.cells.delete(sym);
+        } else {
+            this.cells.set(sym, c);
+        }
+    }
+
+    // Add another row (times a coefficient) to this one
+    public insertRow(other : SolverRow, coeff : number = 1) : void {
+        this.constant += other.constant * coeff;
+        for (let [sym, c] of other.cells) this.insertSymbol(sym, c * coeff);
+    }
+
+    public remove(sym : SolverSymbol) : void {this.cells.delete(sym);}
+
+    public reverseSign() : void {
+        this.constant = -this.constant;
+        for (let [sym, c] of this.cells) this.cells.set(sym, -c);
+    }
+
+    // Solve the row for the given symbol (which is then removed from the row)
+    public solveFor(sym : SolverSymbol) : void {
+        const coeff = -1 / (this.cells.get(sym) as number);
+        this.cells.delete(sym);
+        this.constant *= coeff;
+        for (let [s, c] of this.cells) this.cells.set(s, c * coeff);
+    }
+
+    // Solve the row (currently representing lhs = this row) for rhs
+    public solveForEx(lhs : SolverSymbol, rhs : SolverSymbol) : void {
+        this.insertSymbol(lhs, -1);
+        this.solveFor(rhs);
+    }
+
+    public coefficientFor(sym : SolverSymbol) : number {return this.cells.get(sym) ?? 0;}
+
+    // Replace the given symbol in this row with the given row
+    public substitute(sym : SolverSymbol, row : SolverRow) : void {
+        const coeff = this.cells.get(sym);
+        if (coeff !== undefined) {
+            this.cells.delete(sym);
+            this.insertRow(row, coeff);
+        }
+    }
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Record of the symbols introduced for a constraint
+type SolverTag = {marker : SolverSymbol, other : SolverSymbol};
+
+// Record for an edit variable
+type EditInfo = {tag : SolverTag, constraint : Constraint, constant : number};
+
+//===================================================================
+// The constraint solver itself
+//===================================================================
+export class ConstraintSolver {
+    public constructor() {}
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    protected _constraints : Map<Constraint, SolverTag> = new Map();
+    protected _rows : Map<SolverSymbol, SolverRow> = new Map();
+    protected _vars : Map<Variable, SolverSymbol> = new Map();
+    protected _edits : Map<Variable, EditInfo> = new Map();
+    protected _infeasibleRows : SolverSymbol[] = [];
+    protected _objective : SolverRow = new SolverRow();
+    protected _artificial : SolverRow | undefined = undefined;
+    protected _nextID : number = 0;
+
+    //-------------------------------------------------------------------
+    // Public interface
+    //-------------------------------------------------------------------
+
+    // Is the given constraint currently in the solver
+    public hasConstraint(c : Constraint) : boolean {return this._constraints.has(c);}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add a constraint to the solver.  This throws an exception if the constraint
+    // is already in the solver, or if it is a required constraint which can't be
+    // satisfied along with the required constraints already present (in which case
+    // the solver is left unchanged).
+    public addConstraint(c : Constraint) : void {
+        if (this._constraints.has(c)) {
+            throw new Error("Duplicate constraint added to ConstraintSolver");
+        }
+
+        const tag : SolverTag = {marker: INVALID_SYMBOL, other: INVALID_SYMBOL};
+        const row = this._createRow(c, tag);
+        let subject = this._chooseSubject(row, tag);
+
+        // if we didn't find a subject and the row is all dummies, the constraint is
+        // either redundant (which is fine) or conflicting
+        if (subject === INVALID_SYMBOL && this._allDummies(row)) {
+            if (!nearZero(row.constant)) {
+                this._removeDanglingSymbols(c);
+                throw new Error("Unsatisfiable required constraint");
+            }
+            subject = tag.marker;
+        }
+
+        if (subject === INVALID_SYMBOL) {
+            if (!this._addWithArtificialVariable(row)) {
+                // put things back the way they were (as far as possible)
+                this._constraints.set(c, tag);
+                try {
+                    this.removeConstraint(c);
+                } catch (err) {
+                    this._constraints.delete(c);
+                }
+                throw new Error("Unsatisfiable required constraint");
+            }
+        } else {
+            row.solveFor(subject);
+            this._substitute(subject, row);
+            this._rows.set(subject, row);
+        }
+
+        this._constraints.set(c, tag);
+        this._optimize(this._objective);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Remove a constraint from the solver.  This throws an exception if the
+    // constraint is not in the solver.
+    public removeConstraint(c : Constraint) : void {
+        const tag = this._constraints.get(c);
+        if (!tag) throw new Error("Unknown constraint removed from ConstraintSolver");
+        this._constraints.delete(c);
+
+        // remove the error effects from the objective function
+        this._removeConstraintEffects(c, tag);
+
+        // if the marker is basic, simply drop the row; otherwise pivot the marker
+        // into the basis and then drop the row
+        let row = this._rows.get(tag.marker);
+        if (row) {
+            this._rows.delete(tag.marker);
+        } else {
+            const leaving = this._getMarkerLeavingSymbol(tag.marker);
+            if (leaving === INVALID_SYMBOL) {
+                throw new Error("Failed to find leaving row in ConstraintSolver");
+            }
+            row = this._rows.get(leaving) as SolverRow;
+            this._rows.delete(leaving);
+            row.solveForEx(leaving, tag.marker);
+            this._substitute(tag.marker, row);
+        }
+
+        this._optimize(this._objective);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Is the given variable currently an edit variable
+    public hasEditVariable(v : Variable) : boolean {return this._edits.has(v);}
+
+    // Make the given variable an edit variable (one which can be given suggested
+    // values with suggestValue()) with the given (non-required) strength.
+    public addEditVariable(v : Variable, strength : ConstraintStrength | number) : void {
+        if (this._edits.has(v)) throw new Error("Duplicate edit variable in ConstraintSolver");
+        const str = strengthValue(strength);
+        if (str >= STRENGTH_VALUES['required']) {
+            throw new Error("Edit variables in ConstraintSolver can't be required");
+        }
+        const c = new Constraint(v, '==', 0, str);
+        this.addConstraint(c);
+        this._edits.set(v, {tag: this._constraints.get(c) as SolverTag,
+                            constraint: c, constant: 0});
+    }
+
+    // Stop treating the given variable as an edit variable
+    public removeEditVariable(v : Variable) : void {
+        const info = this._edits.get(v);
+        if (!info) throw new Error("Unknown edit variable in ConstraintSolver");
+        this.removeConstraint(info.constraint);
+        this._edits.delete(v);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Suggest a new value for an edit variable.  The solution is updated
+    // incrementally (using the dual simplex method) to account for the new value.
+    public suggestValue(v : Variable, value : number) : void {
+        const info = this._edits.get(v);
+        if (!info) throw new Error("Unknown edit variable in ConstraintSolver");
+
+        const delta = value - info.constant;
+        info.constant = value;
+
+        // check first if the positive error variable is basic
+        const marker = info.tag.marker;
+        let row = this._rows.get(marker);
+        if (row) {
+            if (row.add(-delta) < 0) this._infeasibleRows.push(marker);
+            this._dualOptimize();
+            return;
+        }
+
+        // check next if the negative error variable is basic
+        const other = info.tag.other;
+        row = this._rows.get(other);
+        if (row) {
+            if (row.add(delta) < 0) this._infeasibleRows.push(other);
+            this._dualOptimize();
+            return;
+        }
+
+        // otherwise update each row where the error variables exist
+        for (let [sym, r] of this._rows) {
+            const coeff = r.coefficientFor(marker);
+            if (coeff !== 0 && r.add(delta * coeff) < 0 && sym.type !== 'external') {
+                this._infeasibleRows.push(sym);
+            }
+        }
+        this._dualOptimize();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Copy the current solution into the value of each variable known to the solver
+    public updateVariables() : void {
+        for (let [v, sym] of this._vars) {
+            const row = this._rows.get(sym);
+            v.value = row ? row.constant : 0;
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Internal methods
+    //-------------------------------------------------------------------
+
+    protected _makeSymbol(type : SymbolType) : SolverSymbol {
+        return new SolverSymbol(type, this._nextID++);
+    }
+
+    // Get the symbol for the given variable, creating one if needed
+    protected _getVarSymbol(v : Variable) : SolverSymbol {
+        let sym = this._vars.get(v);
+        if (!sym) {
+            sym = this._makeSymbol('external');
+            this._vars.set(v, sym);
+        }
+        return sym;
+    }
+
+    // Remove any variables which are no longer used after a failed constraint add
+    protected _removeDanglingSymbols(c : Constraint) : void {
+        for (let v of c.expression.terms.keys()) {
+            const sym = this._vars.get(v);
+            if (!sym || this._rows.has(sym)) continue;
+            let used = false;
+            for (let row of this._rows.values()) {
+                if (row.cells.has(sym)) {used = true; break;}
+            }
+            if (!used) this._vars.delete(v);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a new tableau row for the given constraint, filling in the tag with
+    // the marker and error symbols introduced for it.  Basic variables in the
+    // constraint are replaced with their current rows.
+    protected _createRow(c : Constraint, tag : SolverTag) : SolverRow {
+        const expr = c.expression;
+        const row = new SolverRow(expr.constant);
+
+        for (let [v, coeff] of expr.terms) {
+            if (nearZero(coeff)) continue;
+            const sym = this._getVarSymbol(v);
+            const basic = this._rows.get(sym);
+            if (basic) {
+                row.insertRow(basic, coeff);
+            } else {
+                row.insertSymbol(sym, coeff);
+            }
+        }
+
+        const strength = c.strength;
+        switch (c.op) {
+            case '<=':
+            case '>=': {
+                const coeff = (c.op === '<=') ? 1 : -1;
+                const slack = this._makeSymbol('slack');
+                tag.marker = slack;
+                row.insertSymbol(slack, coeff);
+                if (!c.required) {
+                    const error = this._makeSymbol('error');
+                    tag.other = error;
+                    row.insertSymbol(error, -coeff);
+                    this._objective.insertSymbol(error, strength);
+                }
+                break;
+            }
+            case '==':
+                if (!c.required) {
+                    const errPlus = this._makeSymbol('error');
+                    const errMinus = this._makeSymbol('error');
+                    tag.marker = errPlus;
+                    tag.other = errMinus;
+                    row.insertSymbol(errPlus, -1);
+                    row.insertSymbol(errMinus, 1);
+                    this._objective.insertSymbol(errPlus, strength);
+                    this._objective.insertSymbol(errMinus, strength);
+                } else {
+                    const dummy = this._makeSymbol('dummy');
+                    tag.marker = dummy;
+                    row.insertSymbol(dummy);
+                }
+                break;
+        }
+
+        // keep the row constant non-negative
+        if (row.constant < 0) row.reverseSign();
+        return row;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Choose the symbol to solve a new row for: any external symbol, or else a
+    // slack or error marker with a negative coefficient.  INVALID_SYMBOL is returned
+    // if there is no such symbol.
+    protected _chooseSubject(row : SolverRow, tag : SolverTag) : SolverSymbol {
+        for (let sym of row.cells.keys()) {
+            if (sym.type === 'external') return sym;
+        }
+        for (let sym of [tag.marker, tag.other]) {
+            if ((sym.type === 'slack' || sym.type === 'error') &&
+                row.coefficientFor(sym) < 0) return sym;
+        }
+        return INVALID_SYMBOL;
+    }
+
+    protected _allDummies(row : SolverRow) : boolean {
+        for (let sym of row.cells.keys()) {
+            if (sym.type !== 'dummy') return false;
+        }
+        return true;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add the row to the tableau using an artificial variable.  This returns false
+    // if the constraint the row came from can't be satisfied.
+    protected _addWithArtificialVariable(row : SolverRow) : boolean {
+        // create and add the artificial variable to the tableau
+        const art = this._makeSymbol('slack');
+        this._rows.set(art, row.copy());
+        this._artificial = row.copy();
+
+        // optimize the artificial objective; this is successful only if the
+        // artificial objective is optimized to zero
+        this._optimize(this._artificial);
+        const success = nearZero(this._artificial.constant);
+        this._artificial = undefined;
+
+        // if the artificial variable is basic, pivot the row so that it becomes non
+        // basic (if the row is constant, exit early)
+        const basic = this._rows.get(art);
+        if (basic) {
+            this._rows.delete(art);
+            if (basic.cells.size === 0) return success;
+            const entering = this._anyPivotableSymbol(basic);
+            if (entering === INVALID_SYMBOL) return false;
+            basic.solveForEx(art, entering);
+            this._substitute(entering, basic);
+            this._rows.set(entering, basic);
+        }
+
+        // remove the artificial variable from the tableau
+        for (let r of this._rows.values()) r.remove(art);
+        this._objective.remove(art);
+        return success;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Substitute the given row for the symbol everywhere it appears in the tableau
+    protected _substitute(sym : SolverSymbol, row : SolverRow) : void {
+        for (let [s, r] of this._rows) {
+            r.substitute(sym, row);
+            if (s.type !== 'external' && r.constant < 0) this._infeasibleRows.push(s);
+        }
+        this._objective.substitute(sym, row);
+        if (this._artificial) this._artificial.substitute(sym, row);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Optimize the system for the given objective function using the primal
+    // simplex method
+    protected _optimize(objective : SolverRow) : void {
+        for (;;) {
+            const entering = this._getEnteringSymbol(objective);
+            if (entering === INVALID_SYMBOL) return;
+
+            const [leaving, row] = this._getLeavingRow(entering);
+            if (!row) throw new Error("Objective function is unbounded in ConstraintSolver");
+
+            this._rows.delete(leaving);
+            row.solveForEx(leaving, entering);
+            this._substitute(entering, row);
+            this._rows.set(entering, row);
+        }
+    }
+
+    // Optimize the system using the dual simplex method (used after edit values
+    // change and leave some rows infeasible)
+    protected _dualOptimize() : void {
+        while (this._infeasibleRows.length > 0) {
+            const leaving = this._infeasibleRows.pop() as SolverSymbol;
+            const row = this._rows.get(leaving);
+            if (row && row.constant < 0) {
+                const entering = this._getDualEnteringSymbol(row);
+                if (entering === INVALID_SYMBOL) {
+                    throw new Error("Dual optimize failed in ConstraintSolver");
+                }
+                this._rows.delete(leaving);
+                row.solveForEx(leaving, entering);
+                this._substitute(entering, row);
+                this._rows.set(entering, row);
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Symbol for the primal simplex to pivot in: any non-dummy symbol with a
+    // negative coefficient in the objective
+    protected _getEnteringSymbol(objective : SolverRow) : SolverSymbol {
+        for (let [sym, coeff] of objective.cells) {
+            if (sym.type !== 'dummy' && coeff < 0) return sym;
+        }
+        return INVALID_SYMBOL;
+    }
+
+    // Symbol for the dual simplex to pivot in: the one with the smallest ratio of
+    // objective coefficient to (positive) row coefficient
+    protected _getDualEnteringSymbol(row : SolverRow) : SolverSymbol {
+        let entering = INVALID_SYMBOL;
+        let ratio = Number.MAX_VALUE;
+        for (let [sym, coeff] of row.cells) {
+            if (coeff > 0 && sym.type !== 'dummy') {
+                const r = this._objective.coefficientFor(sym) / coeff;
+                if (r < ratio) {
+                    ratio = r;
+                    entering = sym;
+                }
+            }
+        }
+        return entering;
+    }
+
+    // Find the row which holds the exit symbol for the given entering symbol (the
+    // one with the most restrictive ratio)
+    protected _getLeavingRow(entering : SolverSymbol) : [SolverSymbol, SolverRow | undefined] {
+        let ratio = Number.MAX_VALUE;
+        let found : [SolverSymbol, SolverRow | undefined] = [INVALID_SYMBOL, undefined];
+        for (let [sym, row] of this._rows) {
+            if (sym.type === 'external') continue;
+            const coeff = row.coefficientFor(entering);
+            if (coeff < 0) {
+                const r = -row.constant / coeff;
+                if (r < ratio) {
+                    ratio = r;
+                    found = [sym, row];
+                }
+            }
+        }
+        return found;
+    }
+
+    // Find the symbol to pivot out so a (non-basic) marker of a constraint being
+    // removed can be pivoted in
+    protected _getMarkerLeavingSymbol(marker : SolverSymbol) : SolverSymbol {
+        let r1 = Number.MAX_VALUE;
+        let r2 = Number.MAX_VALUE;
+        let first = INVALID_SYMBOL;
+        let second = INVALID_SYMBOL;
+        let third = INVALID_SYMBOL;
+        for (let [sym, row] of this._rows) {
+            const c = row.coefficientFor(marker);
+            if (c === 0) continue;
+            if (sym.type === 'external') {
+                third = sym;
+            } else if (c < 0) {
+                const r = -row.constant / c;
+                if (r < r1) {r1 = r; first = sym;}
+            } else {
+                const r = row.constant / c;
+                if (r < r2) {r2 = r; second = sym;}
+            }
+        }
+        if (first !== INVALID_SYMBOL) return first;
+        if (second !== INVALID_SYMBOL) return second;
+        return third;
+    }
+
+    // Any slack or error symbol in the given row (or INVALID_SYMBOL)
+    protected _anyPivotableSymbol(row : SolverRow) : SolverSymbol {
+        for (let sym of row.cells.keys()) {
+            if (sym.type === 'slack' || sym.type === 'error') return sym;
+        }
+        return INVALID_SYMBOL;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Remove the effects of a constraint's error symbols from the objective
+    protected _removeConstraintEffects(c : Constraint, tag : SolverTag) : void {
+        if (tag.marker.type === 'error') this._removeMarkerEffects(tag.marker, c.strength);
+        if (tag.other.type === 'error') this._removeMarkerEffects(tag.other, c.strength);
+    }
+
+    protected _removeMarkerEffects(marker : SolverSymbol, strength : number) : void {
+        const row = this._rows.get(marker);
+        if (row) {
+            this._objective.insertRow(row, -strength);
+        } else {
+            this._objective.insertSymbol(marker, -strength);
+        }
+    }
+} // end ConstraintSolver class
+
+//===================================================================
@@ -36,6 +36,10 @@
 // pointing down on the screen).  Each object also maintains a width and height, which 
 // along with its position establishes a bounding box of the object.  All drawing output
 // for the object and all of its children are clipped to that bounding box.  
+// Objects can also be rotated and scaled (around a transform origin) within their 
+// parent.  In that case the local coordinate system (and the bounding box) are 
+// transformed along with the object.  Transforms affect only drawing and damage, not
+// layout, which places each object as if it were untransformed.
 //
 // LAYOUT
 // Layout is done in a two-pass fashion -- first bottom up to determine available size
@@ -50,6 +54,12 @@
 // the second pass of the layout implementation estabish the actual size and position 
 // of each of their children.  
 //
+// Layout is incremental.  Changes to the size, size configuration, or child list of
+// an object (or to other properties affecting layout) invalidate its layout (see 
+// invalidateLayout()), and both passes skip subtrees that have not been invalidated.
+// A container is only re-sized when one of its children's configuration actually
+// changed, and is only laid out again when it was re-sized or its own size changed.
+//
 // DAMAGE MANAGEMENT
 // Each time something about an object changes in a way that should be reflected by a 
 // visual image for the object, it must declare "damage" indicating what part of its 
@@ -64,7 +74,8 @@
 //
 //===================================================================
  
-import { DrawContext, PointLiteral, SizeLiteral, TextMeasure } from "./Util.js";
+import { DrawContext, PointLiteral, SizeLiteral, TextMeasure, InsetsLiteral, toInsets, 
+         RectLiteral, intersectRects } from "./Util.js";
 import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
 import { TopObject } from "./TopObject"; 
         // used here to get a drawing context to measure text with
@@ -113,9 +124,10 @@ export class DrawnObjectBase {
              // that could affect the display
 
             //===YOUR CODE HERE ===
-            // set x to input, and redraw
+            // set x to input, and redraw (where we were and where we are now)
+            this._damageForMove();
             this._x = v
-            this.damageAll();
+            this._damageForMove();
         }
     }    
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -127,8 +139,9 @@ export class DrawnObjectBase {
         //===YOUR CODE HERE ===
         // if changed, set y to input, and redraw
         if (!(v === this._y)) {
+            this._damageForMove();   // (the area we used to cover)
             this._y = v
-            this.damageAll();
+            this._damageForMove();
         }
     }
 
@@ -150,7 +163,11 @@ export class DrawnObjectBase {
             //===YOUR CODE HERE ===
             // if changed, set w to input, and redraw
             if (!(v === this._w)) {
+                // damage at old size
+                this.damageAll();
                 this._w = v;
+                this.invalidateLayout();
+                // damage at new size
                 this.damageAll();
             }
     }
@@ -165,6 +182,7 @@ export class DrawnObjectBase {
         // if changed, set wConfig to input, and redraw
         if (!(v === this._wConfig)) {
             this._wConfig = v
+            this.invalidateLayout();
             this.damageAll();
         }
     }
@@ -194,7 +212,11 @@ export class DrawnObjectBase {
         //===YOUR CODE HERE ===
         // if changed, set h to input, and redraw
         if (!(v === this._h)) {
+            // damage at old size
+            this.damageAll();
             this._h = v
+            this.invalidateLayout();
+            // damage at new size
             this.damageAll();
         }
     }
@@ -209,6 +231,7 @@ export class DrawnObjectBase {
         // if changed, set hConfig to input, and redraw
         if (!(v === this._hConfig)) {
             this._hConfig = v
+            this.invalidateLayout();
             this.damageAll();
         }
     }
@@ -228,6 +251,34 @@ export class DrawnObjectBase {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Distance from the top of this object to its baseline, which layout objects 
+    // (e.g., a Row) can use to align objects such as text along a common line.  
+    // Here in the base class we consider the bottom edge to be the baseline.
+    public get baseline() : number {return this.h;}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Space to be left around the outside of this object by layout objects that 
+    // position it (e.g., Row and Column).  The margin adds to the space this object 
+    // takes up in such a layout, but not to the object's own size.  The setter here 
+    // will allow either a full set of insets, or a single number used for all sides.
+    // The getter returns a copy, so changes must be made through the setter (which 
+    // updates layout and declares damage).
+    protected _margin : InsetsLiteral = {top:0, right:0, bottom:0, left:0};
+    public get margin() : InsetsLiteral {return {...this._margin};}
+    public set margin(v : InsetsLiteral | number) {
+        const newMargin = toInsets(v);
+        if (!(newMargin.top === this._margin.top && newMargin.right === this._margin.right &&
+              newMargin.bottom === this._margin.bottom && newMargin.left === this._margin.left))
+        {
+            this._margin = newMargin;
+            this._parent?.invalidateLayout();
+            this.damageAll();  // we have damaged our parent's layout...
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
     // Accessors for handling the size of this object as a single value
     public get size() : SizeLiteral {return {w:this.w, h:this.h};}
     public set size(v : SizeLiteral) {
@@ -237,6 +288,147 @@ export class DrawnObjectBase {
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Rotation of this object (in radians, clockwise on the screen) around its 
+    // transform origin
+    protected _rotation : number = 0;
+    public get rotation() : number {return this._rotation;}
+    public set rotation(v : number) {
+        if (!(v === this._rotation)) {
+            this._damageForMove();   // (the area we used to cover)
+            this._rotation = v;
+            this._damageForMove();
+        }
+    }
+
+    // Horizontal and vertical scale factors of this object around its transform 
+    // origin
+    protected _scaleX : number = 1;
+    public get scaleX() : number {return this._scaleX;}
+    public set scaleX(v : number) {
+        if (!(v === this._scaleX)) {
+            this._damageForMove();
+            this._scaleX = v;
+            this._damageForMove();
+        }
+    }
+    protected _scaleY : number = 1;
+    public get scaleY() : number {return this._scaleY;}
+    public set scaleY(v : number) {
+        if (!(v === this._scaleY)) {
+            this._damageForMove();
+            this._scaleY = v;
+            this._damageForMove();
+        }
+    }
+
+    // Accessor for setting both scale factors together (the getter gives scaleX)
+    public get scale() : number {return this._scaleX;}
+    public set scale(v : number) {
+        this.scaleX = v; this.scaleY = v;
+    }
+
+    // Point which stays fixed when this object is rotated or scaled, as a fraction 
+    // of our width and height (so {x:0.5, y:0.5}, the default, is our center)
+    protected _transformOrigin : PointLiteral = {x:0.5, y:0.5};
+    public get transformOrigin() : PointLiteral {return this._transformOrigin;}
+    public set transformOrigin(v : PointLiteral) {
+        if (!(v.x === this._transformOrigin.x && v.y === this._transformOrigin.y)) {
+            this._damageForMove();
+            this._transformOrigin = {x:v.x, y:v.y};
+            this._damageForMove();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // How far the drawing of this object may extend outside its bounds (e.g., for 
+    // borders or shadows).  We are clipped to our bounds expanded by this (rather 
+    // than our bounds themselves) when drawn, and damageAll() covers this area too.
+    // Here in the base class we stay within our bounds.
+    public get visualOverflow() : InsetsLiteral {
+        return {top:0, right:0, bottom:0, left:0};
+    }
+
+    // Our bounds expanded by our visualOverflow (in our local coordinates)
+    public get visualBounds() : RectLiteral {
+        const over = this.visualOverflow;
+        return {x: -over.left, y: -over.top, 
+                w: this.w + over.left + over.right, h: this.h + over.top + over.bottom};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indicate whether this object is rotated or scaled
+    public get hasTransform() : boolean {
+        return this._rotation !== 0 || this._scaleX !== 1 || this._scaleY !== 1;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Opacity of this object (from 0, fully transparent, to 1, fully opaque).  This 
+    // applies to our whole subtree, and multiplies with the opacity of our ancestors.
+    // Note that, unless compositeAsGroup is set, this is applied to each part of the 
+    // subtree separately, so overlapping parts will show through each other.
+    protected _opacity : number = 1;
+    public get opacity() : number {return this._opacity;}
+    public set opacity(v : number) {
+        v = Math.max(0, Math.min(v, 1));
+        if (!(v === this._opacity)) {
+            this._opacity = v;
+            this._damageForMove();
+        }
+    }
+
+    // How the drawing of this object (and its subtree) is combined with what is 
+    // already drawn behind it (as for the canvas globalCompositeOperation).  Unless
+    // compositeAsGroup is set this applies to each part of the subtree separately.
+    protected _blendMode : GlobalCompositeOperation = 'source-over';
+    public get blendMode() : GlobalCompositeOperation {return this._blendMode;}
+    public set blendMode(v : GlobalCompositeOperation) {
+        if (!(v === this._blendMode)) {
+            this._blendMode = v;
+            this._damageForMove();
+        }
+    }
+
+    // Whether our subtree is first drawn into an offscreen layer, which is then 
+    // combined with what is behind it as a whole (using our opacity and blend mode).
+    // This is more expensive, but gives the expected results for subtrees with 
+    // overlapping parts.  See _drawAsLayer().
+    protected _compositeAsGroup : boolean = false;
+    public get compositeAsGroup() : boolean {return this._compositeAsGroup;}
+    public set compositeAsGroup(v : boolean) {
+        if (!(v === this._compositeAsGroup)) {
+            this._compositeAsGroup = v;
+            if (!v) this._layerCanvas = undefined;
+            this._damageForMove();
+        }
+    }
+
+    // Indicate whether we are actually drawn via an offscreen layer (which is only 
+    // needed if we are composited as a group and are not drawn normally)
+    public get drawsAsLayer() : boolean {
+        return this._compositeAsGroup && 
+               (this._opacity < 1 || this._blendMode !== 'source-over');
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Stacking order of this object among its siblings.  Siblings are drawn (and 
+    // picked) in increasing zIndex order, with siblings that have the same zIndex kept
+    // in child list order.  This doesn't affect layout, which always uses the child
+    // list order.  See also bringToFront(), sendToBack(), raise() and lower().
+    protected _zIndex : number = 0;
+    public get zIndex() : number {return this._zIndex;}
+    public set zIndex(v : number) {
+        if (!(v === this._zIndex)) {
+            this._zIndex = v;
+            this._damageForMove();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
     // Property indicating if this object is visible (is to be drawn).
     // Note that the object retains its size and position while invisible, and
     // it may affect layout, etc.
@@ -251,6 +443,25 @@ export class DrawnObjectBase {
             }
     }
 
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Whether this object (along with its whole subtree) is drawn once into an 
+    // offscreen bitmap which is then simply copied to the display on each redraw.  
+    // This is intended for subtrees which are expensive to draw but rarely change.
+    // The bitmap is re-rendered whenever damage is declared within the subtree, or 
+    // when our size changes (but not when we are simply moved).  See 
+    // _drawPossiblyCached().
+    protected _cacheAsBitmap : boolean = false;
+    public get cacheAsBitmap() : boolean {return this._cacheAsBitmap;}
+    public set cacheAsBitmap(v : boolean) {
+        if (!(v === this._cacheAsBitmap)) {
+            this._cacheAsBitmap = v;
+            this._bitmapCacheValid = false;
+            if (!v) this._bitmapCache = undefined;
+            this.damageAll();
+        }
+    }
+
     //-------------------------------------------------------------------
     // Child list maintenance 
     //-------------------------------------------------------------------
@@ -313,6 +524,85 @@ export class DrawnObjectBase {
         return this.children.indexOf(child);
     }
 
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    // Stacking (drawing and picking) order of children (see zIndex)
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indexes (in the child list) of our children in the order they are drawn: 
+    // stably sorted by zIndex
+    protected _drawOrderIndices() : number[] {
+        const result = this._children.map((_child, indx) => indx);
+        if (this._children.every((child) => child.zIndex === 0)) return result;
+        return result.sort((a, b) => 
+            (this._children[a].zIndex - this._children[b].zIndex) || (a - b));
+    }
+
+    // Our children in the order they are drawn (bottom-most first)
+    public get drawOrder() : DrawnObjectBase[] {
+        return this._drawOrderIndices().map((indx) => this._children[indx]);
+    }
+
+    // Find the top-most visible child whose bounds contain the given point (in our 
+    // coordinates), or undefined if there is none
+    public pickChild(pt : PointLiteral) : DrawnObjectBase | undefined {
+        const order = this.drawOrder;
+        for (let i = order.length - 1; i >= 0; i--) {
+            const child = order[i];
+            if (!child.visible) continue;
+            const local = child.parentToLocal(pt);
+            if (local.x >= 0 && local.x <= child.w && local.y >= 0 && local.y <= child.h) {
+                return child;
+            }
+        }
+        return undefined;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw this object above all of its siblings (by giving it a larger zIndex than 
+    // any of them).  Only the area of this object is damaged.
+    public bringToFront() : void {
+        const sibs = this._siblings();
+        if (sibs.length === 0) return;
+        const top = Math.max(...sibs.map((sib) => sib.zIndex));
+        if (this.zIndex <= top) this.zIndex = top + 1;
+    }
+
+    // Draw this object below all of its siblings (by giving it a smaller zIndex than
+    // any of them).  Only the area of this object is damaged.
+    public sendToBack() : void {
+        const sibs = this._siblings();
+        if (sibs.length === 0) return;
+        const bottom = Math.min(...sibs.map((sib) => sib.zIndex));
+        if (this.zIndex >= bottom) this.zIndex = bottom - 1;
+    }
+
+    // Move this object one step up (raise) or down (lower) in the drawing order of 
+    // its siblings.  To do this the zIndex of each sibling is renumbered to match its
+    // position in the new order (without damage, since only this object's place in
+    // the order actually changes).  Only the area of this object is damaged.
+    public raise() : void {this._restack(+1);}
+    public lower() : void {this._restack(-1);}
+
+    protected _restack(step : number) : void {
+        if (!this.parent) return;
+        const order = this.parent.drawOrder;
+        const pos = order.indexOf(this);
+        const newPos = pos + step;
+        if (newPos < 0 || newPos >= order.length) return;
+
+        order.splice(pos, 1);
+        order.splice(newPos, 0, this);
+        order.forEach((obj, indx) => {obj._zIndex = indx;});
+        this._damageForMove();
+    }
+
+    // The other children of our parent
+    protected _siblings() : DrawnObjectBase[] {
+        if (!this.parent) return [];
+        return this.parent.children.filter((child) => child !== this);
+    }
+
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // Remove the child at the given index within this object's child list.  This
@@ -328,6 +618,7 @@ export class DrawnObjectBase {
         if (child.visible) child.damageAll();
         this._children.splice(indx,1);
         child._setParent(undefined);
+        this.invalidateLayout();
         return child;
     }
 
@@ -361,6 +652,7 @@ export class DrawnObjectBase {
         if (newChild.parent) newChild.parent.detachChild(newChild);
         newChild._setParent(this);
         this._children.splice(indx, 0, newChild);
+        this.invalidateLayout();
         return this;
     }
 
@@ -400,16 +692,97 @@ export class DrawnObjectBase {
     //-------------------------------------------------------------------
     // Layout related
     //-------------------------------------------------------------------
+
+    // Does this object need its own sizing and local layout redone
+    protected _layoutDirty : boolean = true;
+
+    // Does some object below this one need its layout redone
+    protected _subtreeLayoutDirty : boolean = false;
+
+    // Did our size configuration change in the most recent sizing pass
+    protected _configChanged : boolean = true;
+
+    // The size configurations produced by our most recent _doLocalSizing().  Some
+    // objects change their configuration when their size is set during layout, so 
+    // these are put back in place before the configurations are used again.
+    protected _sizedWConfig : SizeConfigLiteral | undefined = undefined;
+    protected _sizedHConfig : SizeConfigLiteral | undefined = undefined;
+
+    // Our size at the time our local layout was last done (or -1 if never)
+    protected _laidOutW : number = -1;
+    protected _laidOutH : number = -1;
+
+    // Is a layout currently being done.  Sizes and configurations are set as a normal
+    // part of layout, so they don't invalidate layout while this is true.  This is set 
+    // by the top object of the tree being laid out.
+    protected static _layoutInProgress : boolean = false;
+
+    // Does this object, or some object below it, need its layout redone
+    public get needsLayout() : boolean {return this._layoutDirty || this._subtreeLayoutDirty;}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Declare that something affecting the layout of this object (its size, size 
+    // configuration, children, etc.) has changed, so its sizing and local layout
+    // need to be redone at the next layout.  Our ancestors are marked so that the 
+    // layout passes will find their way down to us (stopping at the first ancestor
+    // already marked).  This has no effect while a layout is in progress.
+    public invalidateLayout() : void {
+        if (DrawnObjectBase._layoutInProgress) return;
+        this._layoutDirty = true;
+        for (let anc = this._parent; anc && !anc._subtreeLayoutDirty; anc = anc._parent) {
+            anc._subtreeLayoutDirty = true;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Put back the size configurations produced by our most recent sizing
+    protected _restoreSizedConfig() : void {
+        if (this._sizedWConfig) this._wConfig = DrawnObjectBase._copyConfig(this._sizedWConfig);
+        if (this._sizedHConfig) this._hConfig = DrawnObjectBase._copyConfig(this._sizedHConfig);
+    }
+
+    // Make a literal copy of a size configuration (which may be a SizeConfig object)
+    protected static _copyConfig(conf : SizeConfigLiteral) : SizeConfigLiteral {
+        return {nat: conf.nat, min: conf.min, max: conf.max};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
     
     // Do the first pass for layout: a bottom up determination of the sizing 
     // configuration of each object.  This methods does (or continues) a recursive
     // traversal which first sizes the tree below this node (recursively),
     // then configures the size of this object (with _doLocalSizing()).  Normally 
     // this method does not need to be overriden, only _doLocalSizing().
+    //
+    // Subtrees which don't need layout keep their previous configurations.  We only
+    // redo our own sizing if our layout was invalidated, or the configuration of one
+    // of our children changed (and in that case our local layout is redone as well).
     protected _sizingLayoutPass() : void {
+        if (!this.needsLayout) {
+            this._restoreSizedConfig();
+            this._configChanged = false;
+            return;
+        }
+
         // this is bottom up so we do the recursive part first then the local part
-        for (let child of this.children) child._sizingLayoutPass();
-        this._doLocalSizing();
+        for (let child of this.children) {
+            child._sizingLayoutPass();
+            if (child._configChanged) this._layoutDirty = true;
+        }
+
+        this._configChanged = false;
+        if (this._layoutDirty) {
+            this._doLocalSizing();
+            const wConf = DrawnObjectBase._copyConfig(this._wConfig);
+            const hConf = DrawnObjectBase._copyConfig(this._hConfig);
+            this._configChanged = 
+                !(this._sizedWConfig && SizeConfig.eq(wConf, this._sizedWConfig) &&
+                  this._sizedHConfig && SizeConfig.eq(hConf, this._sizedHConfig));
+            this._sizedWConfig = wConf;
+            this._sizedHConfig = hConf;
+        }
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -431,6 +804,35 @@ export class DrawnObjectBase {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Does the height configuration of this object depend on the width it ends up
+    // with (e.g., for content that wraps)?  The sizing pass can't know that width, so
+    // objects where this is true provide heightForWidth(), which parents use to 
+    // negotiate the height of the object once they know what width they will give it.
+    // By default height does not depend on width.
+    public get heightDependsOnWidth() : boolean {return false;}
+
+    // Return the height configuration this object would have if it were given the
+    // proposed width.  This is the (optional) negotiation step of layout which sits 
+    // between the bottom up sizing pass (which it assumes has just been done) and the
+    // top down pass.  This should not modify the object.  Here in the base class we 
+    // just return our existing height configuration.
+    public heightForWidth(proposedW : number) : SizeConfigLiteral {
+        return this.hConfig;
+    }
+
+    // Negotiate the height of the given child: if its height depends on its width,
+    // replace its height configuration with the one for the given width (without 
+    // declaring damage, since layout will follow).  The resulting height 
+    // configuration of the child is returned.
+    protected _negotiateChildHeight(child : DrawnObjectBase, 
+                                    w : number) : SizeConfigLiteral 
+    {
+        if (child.heightDependsOnWidth) child._hConfig = child.heightForWidth(w);
+        return child._hConfig;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
 
     // Do the local portion of the second (top down) pass which finalizes the layout of 
     // the subtrees under this object.  This assumes that the sizing configuration of all 
@@ -458,9 +860,23 @@ export class DrawnObjectBase {
     // sizing and positioning of this object.  This methods uses _completeLocalLayout()
     // to do layout of our children, then recurses to continue the layout.  Normally, 
     // this method does not need to be overriden, only _completeLocalLayout().
+    //
+    // Subtrees which don't need layout, and haven't been resized, are skipped.  Our 
+    // local layout is only redone if our layout was invalidated (including when a 
+    // child's configuration changed) or our size has changed since it was last done.
     protected _completeLayout() : void {
-        this._completeLocalLayout();
+        const resized = !(this.w === this._laidOutW && this.h === this._laidOutH);
+        if (!(this.needsLayout || resized)) return;
+
+        if (this._layoutDirty || resized) {
+            for (let child of this.children) child._restoreSizedConfig();
+            this._completeLocalLayout();
+        }
         for (let child of this.children) child._completeLayout();
+
+        this._laidOutW = this.w;
+        this._laidOutH = this.h;
+        this._layoutDirty = this._subtreeLayoutDirty = false;
     }
     
     //-------------------------------------------------------------------
@@ -540,19 +956,44 @@ export class DrawnObjectBase {
     // 2) apply a translation tranformation to move to the child's corrdinate system.
     // 3) reduce the clipping region of the context object so it does not include 
     //    any area outside the child's bounding box.
+    //
+    // Before moving to the child's coordinate system, _clipChildren() is called to
+    // apply any clipping we do to all our children.  Also, children are clipped to
+    // their visualBounds, which can extend outside their bounding box.
     protected _startChildDraw(childIndx : number, ctx: DrawContext) {
         // save full the current state of the context object
         ctx.save();
 
+        this._clipChildren(ctx);
+
         //===YOUR CODE HERE ===
         const child = this._children[childIndx];
-        // apply a translation tranformation to move to the child's corrdinate system.
-        ctx.translate(child.x, child.y);
+        // apply a translation tranformation (along with any rotation and scaling) 
+        // to move to the child's corrdinate system.
+        child.applyTransform(ctx);
+        // set up the child's opacity and blend mode 
+        child.applyCompositing(ctx);
         // reduce the clipping region of the context object so it does not include 
         // any area outside the child's bounding box.
-        this.applyClip(ctx, 0, 0, child.w, child.h);
+        const vis = child.visualBounds;
+        this.applyClip(ctx, vis.x, vis.y, vis.w, vis.h);
     }
 
+    // Apply the clipping (in our coordinates) that all our children are drawn with,
+    // in addition to their own bounds.  Here in the base class this clips to 
+    // _childClipArea() if that gives an area.
+    protected _clipChildren(ctx : DrawContext) : void {
+        const clip = this._childClipArea();
+        if (clip) this.applyClip(ctx, clip.x, clip.y, clip.w, clip.h);
+    }
+
+
+    // Area (in our coordinates) that all of our children are clipped to in addition 
+    // to their own bounds, or undefined if there is no such area.  Here in the base 
+    // class there is none.
+    protected _childClipArea() : RectLiteral | undefined {
+        return undefined;
+    }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
@@ -568,9 +1009,25 @@ export class DrawnObjectBase {
 
     // Draw all the children of this object.  For each child object, this calls 
     // _startChildDraw() to do necessary setup, calls draw() on the child, and 
-    // then calls _endChildDraw() to revert the setup.  
+    // then calls _endChildDraw() to revert the setup.  Children are drawn in 
+    // stacking order (see zIndex).
+    //
+    // Children which don't overlap the area of this object being drawn (see 
+    // _drawArea) are skipped entirely (culled).  Each child that is drawn is given 
+    // the part of it being drawn as its own _drawArea.
     protected _drawChildren(ctx : DrawContext ) {
-        for (let ch : number = 0; ch < this._children.length; ch++) {
+        for (let ch of this._drawOrderIndices()) {
+            // skip children that are entirely outside the area being drawn (or are
+            // fully transparent)
+            const child = this._children[ch];
+            const area = (child.opacity > 0) ? this._childDrawArea(child) : undefined;
+            if (!area) {
+                DrawnObjectBase._culledCount++;
+                continue;
+            }
+            child._drawArea = area;
+            DrawnObjectBase._drawnCount++;
+
             // do the setup for drawing this child
             this._startChildDraw(ch, ctx);
             
@@ -583,7 +1040,7 @@ export class DrawnObjectBase {
             // exception to be propagated out, but will force the call to _endChildDraw() 
             // before we leave this function.
             try {
-                this.children[ch].draw(ctx);
+                this.children[ch]._drawInParent(ctx);
             } finally {
                 // (always) do revert the setup for drawing this child
                 this._endChildDraw(ch,ctx);
@@ -591,6 +1048,291 @@ export class DrawnObjectBase {
         }
     }
 
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The area of this object (in our local coordinates) which needs to be drawn 
+    // during the current redraw, or undefined if all of it does.  This is set by our 
+    // parent just before we are drawn (and by the top object for itself, based on 
+    // the damaged area).
+    protected _drawArea : RectLiteral | undefined = undefined;
+
+    // Determine the area of the given child (in the child's coordinates) which 
+    // needs to be drawn, based on our own _drawArea (or our bounds if that is not 
+    // set) and where the child is placed.  Returns undefined if the child doesn't 
+    // need to be drawn at all.  Subclasses which place or clip their children in 
+    // other ways (e.g., by scrolling them) need to override this to match.
+    protected _childDrawArea(child : DrawnObjectBase) : RectLiteral | undefined {
+        const area = this._drawArea ?? this.visualBounds;
+        return child.parentAreaToLocal(area);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    // Coordinate conversion (between our local coordinates and those of our parent,
+    // taking into account our position and any rotation and scaling)
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Apply our opacity and blend mode to the given drawing context (which is set up
+    // for drawing in our parent).  If we are drawn via an offscreen layer these are
+    // applied when that is drawn instead (see _drawAsLayer()), so nothing is done.
+    public applyCompositing(ctx : DrawContext) : void {
+        if (this.drawsAsLayer) return;
+        if (this._opacity !== 1) ctx.globalAlpha *= this._opacity;
+        if (this._blendMode !== 'source-over') ctx.globalCompositeOperation = this._blendMode;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Apply the transformation from our parent's coordinate system to ours to the 
+    // given drawing context
+    public applyTransform(ctx : DrawContext) : void {
+        ctx.translate(this.x, this.y);
+        if (!this.hasTransform) return;
+
+        const ox = this._transformOrigin.x * this.w;
+        const oy = this._transformOrigin.y * this.h;
+        ctx.translate(ox, oy);
+        ctx.rotate(this._rotation);
+        ctx.scale(this._scaleX, this._scaleY);
+        ctx.translate(-ox, -oy);
+    }
+
+    // Convert a point in our local coordinates into our parent's coordinates
+    public localToParent(pt : PointLiteral) : PointLiteral {
+        if (!this.hasTransform) return {x: pt.x + this.x, y: pt.y + this.y};
+
+        const ox = this._transformOrigin.x * this.w;
+        const oy = this._transformOrigin.y * this.h;
+        const sx = (pt.x - ox) * this._scaleX;
+        const sy = (pt.y - oy) * this._scaleY;
+        const cos = Math.cos(this._rotation);
+        const sin = Math.sin(this._rotation);
+        return {x: this.x + ox + sx * cos - sy * sin, 
+                y: this.y + oy + sx * sin + sy * cos};
+    }
+
+    // Convert a point in our parent's coordinates into our local coordinates.  (If we
+    // are scaled to nothing along an axis, points all map to our transform origin 
+    // along that axis.)
+    public parentToLocal(pt : PointLiteral) : PointLiteral {
+        if (!this.hasTransform) return {x: pt.x - this.x, y: pt.y - this.y};
+
+        const ox = this._transformOrigin.x * this.w;
+        const oy = this._transformOrigin.y * this.h;
+        const dx = pt.x - this.x - ox;
+        const dy = pt.y - this.y - oy;
+        const cos = Math.cos(this._rotation);
+        const sin = Math.sin(this._rotation);
+        const rx =  dx * cos + dy * sin;
+        const ry = -dx * sin + dy * cos;
+        return {x: ox + (this._scaleX === 0 ? 0 : rx / this._scaleX),
+                y: oy + (this._scaleY === 0 ? 0 : ry / this._scaleY)};
+    }
+
+    // Convert a rectangle in our local coordinates into the smallest (axis aligned) 
+    // rectangle in our parent's coordinates which covers it
+    public localRectToParent(r : RectLiteral) : RectLiteral {
+        if (!this.hasTransform) return {x: r.x + this.x, y: r.y + this.y, w: r.w, h: r.h};
+        return this._boundPoints([this.localToParent({x: r.x,       y: r.y}), 
+                                  this.localToParent({x: r.x + r.w, y: r.y}),
+                                  this.localToParent({x: r.x,       y: r.y + r.h}),
+                                  this.localToParent({x: r.x + r.w, y: r.y + r.h})]);
+    }
+
+    // Convert a rectangle in our parent's coordinates into the smallest (axis 
+    // aligned) rectangle in our local coordinates which covers it
+    public parentRectToLocal(r : RectLiteral) : RectLiteral {
+        if (!this.hasTransform) return {x: r.x - this.x, y: r.y - this.y, w: r.w, h: r.h};
+        return this._boundPoints([this.parentToLocal({x: r.x,       y: r.y}), 
+                                  this.parentToLocal({x: r.x + r.w, y: r.y}),
+                                  this.parentToLocal({x: r.x,       y: r.y + r.h}),
+                                  this.parentToLocal({x: r.x + r.w, y: r.y + r.h})]);
+    }
+
+    // Determine the part of our visual bounds (in our local coordinates) which is 
+    // covered by the given area of our parent (in its coordinates), or undefined if 
+    // none of it is.  (For rotated objects this is conservative, since it works with
+    // axis aligned bounding boxes.)
+    public parentAreaToLocal(area : RectLiteral) : RectLiteral | undefined {
+        const bounds = this.visualBounds;
+        if (!intersectRects(area, this.localRectToParent(bounds))) return undefined;
+        return intersectRects(this.parentRectToLocal(area), bounds);
+    }
+
+    // Smallest rectangle containing all the given points
+    protected _boundPoints(pts : PointLiteral[]) : RectLiteral {
+        const xs = pts.map((p) => p.x);
+        const ys = pts.map((p) => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return {x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Counters of how many objects were drawn and how many children were culled
+    // (skipped along with their whole subtree) by _drawChildren() since the counters
+    // were last reset.  The top object resets these at the start of each redraw, so
+    // they can be used to verify how much drawing a redraw actually did.
+    protected static _drawnCount : number = 0;
+    public static get drawnCount() : number {return DrawnObjectBase._drawnCount;}
+    protected static _culledCount : number = 0;
+    public static get culledCount() : number {return DrawnObjectBase._culledCount;}
+
+    public static resetDrawCounts() : void {
+        DrawnObjectBase._drawnCount = 0;
+        DrawnObjectBase._culledCount = 0;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    // Bitmap caching (see the cacheAsBitmap property)
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Offscreen canvas holding the cached image of this object and its subtree, 
+    // whether that image is up to date, and the size and pixel ratio (canvas pixels
+    // per CSS pixel) it was rendered at
+    protected _bitmapCache : HTMLCanvasElement | undefined = undefined;
+    protected _bitmapCacheValid : boolean = false;
+    protected _bitmapCacheBounds : RectLiteral = {x:0, y:0, w:0, h:0};
+    protected _bitmapCacheRatio : number = 1;
+
+    // Draw this object as our parent's _drawChildren() does.  Normally this just 
+    // calls draw(), but we may instead be drawn via an offscreen layer (see 
+    // compositeAsGroup) and/or from a cached bitmap (see cacheAsBitmap).
+    protected _drawInParent(ctx : DrawContext) : void {
+        if (this.visible && this.drawsAsLayer) {
+            this._drawAsLayer(ctx);
+        } else {
+            this._drawPossiblyCached(ctx);
+        }
+    }
+
+    // Draw this object, either normally or, if we are cached as a bitmap, by copying
+    // the cached image (first rendering it if it is out of date).  If the bitmap 
+    // can't be created (e.g., because we are empty), we fall back to drawing normally.
+    protected _drawPossiblyCached(ctx : DrawContext) : void {
+        if (!this._cacheAsBitmap || !this.visible) {
+            this.draw(ctx);
+            return;
+        }
+
+        const vis = this.visualBounds;
+        const cached = this._bitmapCacheBounds;
+        const ratio = this._cachePixelRatio();
+        if (!this._bitmapCacheValid || cached.x !== vis.x || cached.y !== vis.y || 
+            cached.w !== vis.w || cached.h !== vis.h || this._bitmapCacheRatio !== ratio) 
+        {
+            this._renderBitmapCache();
+        }
+        if (this._bitmapCache && this._bitmapCacheValid) {
+            // (the bitmap holds canvas pixels, so is drawn back at its CSS size)
+            const cache = this._bitmapCache;
+            ctx.drawImage(cache, cached.x, cached.y, cache.width / this._bitmapCacheRatio,
+                          cache.height / this._bitmapCacheRatio);
+        } else {
+            this.draw(ctx);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Render this object and its subtree into our offscreen bitmap.  The whole 
+    // object (including its visual overflow) is rendered, regardless of what part of
+    // it is being drawn at the moment, so _drawArea is cleared while we do this.  The
+    // bitmap is rendered at the pixel ratio of our TopObject so that it stays sharp
+    // on high density displays.
+    protected _renderBitmapCache() : void {
+        this._bitmapCacheValid = false;
+        const vis = this.visualBounds;
+        const ratio = this._cachePixelRatio();
+        const w = Math.ceil(vis.w * ratio);
+        const h = Math.ceil(vis.h * ratio);
+        if (w <= 0 || h <= 0) return;
+
+        if (!this._bitmapCache) this._bitmapCache = document.createElement('canvas');
+        this._bitmapCache.width = w;   // (this also clears the bitmap)
+        this._bitmapCache.height = h;
+        const cacheCtx = this._bitmapCache.getContext('2d');
+        if (!cacheCtx) return;
+
+        const savedArea = this._drawArea;
+        this._drawArea = undefined;
+        cacheCtx.save();
+        try {
+            cacheCtx.scale(ratio, ratio);
+            cacheCtx.translate(-vis.x, -vis.y);
+            this.applyClip(cacheCtx, vis.x, vis.y, vis.w, vis.h);
+            this.draw(cacheCtx);
+        } finally {
+            cacheCtx.restore();
+            this._drawArea = savedArea;
+        }
+        this._bitmapCacheBounds = vis;
+        this._bitmapCacheRatio = ratio;
+        this._bitmapCacheValid = true;
+    }
+
+    // Pixel ratio our bitmap cache is rendered at: that of our TopObject (if any)
+    protected _cachePixelRatio() : number {
+        return this._findTop()?.pixelRatio ?? 1;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    // Offscreen layers (see the compositeAsGroup property)
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Offscreen canvas used as our layer (kept to avoid re-creating it every draw)
+    protected _layerCanvas : HTMLCanvasElement | undefined = undefined;
+
+    // Draw this object by first drawing it into an offscreen layer covering (the 
+    // part being drawn of) our area on the underlying canvas, then drawing that 
+    // layer onto the canvas with our opacity and blend mode.  The layer works in 
+    // the canvas' own pixels, so it is drawn with the same transformation and 
+    // clipping as we would otherwise be drawn with.
+    protected _drawAsLayer(ctx : DrawContext) : void {
+        // find the area of the canvas (in its pixels) that we cover
+        const xform = ctx.getTransform();
+        const area = this._drawArea ?? this.visualBounds;
+        const bounds = this._boundPoints([
+            xform.transformPoint({x: area.x,          y: area.y}),
+            xform.transformPoint({x: area.x + area.w, y: area.y}),
+            xform.transformPoint({x: area.x,          y: area.y + area.h}),
+            xform.transformPoint({x: area.x + area.w, y: area.y + area.h})]);
+        const left = Math.floor(bounds.x);
+        const top = Math.floor(bounds.y);
+        const devArea = intersectRects(
+            {x: left, y: top, w: Math.ceil(bounds.x + bounds.w) - left, 
+                              h: Math.ceil(bounds.y + bounds.h) - top},
+            {x: 0, y: 0, w: ctx.canvas.width, h: ctx.canvas.height});
+        if (!devArea) return;
+
+        if (!this._layerCanvas) this._layerCanvas = document.createElement('canvas');
+        this._layerCanvas.width = devArea.w;   // (this also clears the layer)
+        this._layerCanvas.height = devArea.h;
+        const layerCtx = this._layerCanvas.getContext('2d');
+        if (!layerCtx) {
+            // no layer is possible, so just draw without one
+            this._drawPossiblyCached(ctx);
+            return;
+        }
+
+        // draw into the layer with the same transformation (offset to the layer)
+        layerCtx.setTransform(xform.a, xform.b, xform.c, xform.d, 
+                              xform.e - devArea.x, xform.f - devArea.y);
+        this._drawPossiblyCached(layerCtx);
+
+        // then combine the layer with the canvas.  (the layer is drawn within the 
+        // current clipping, which will be in effect regardless of the transform.)
+        ctx.save();
+        try {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha *= this._opacity;
+            ctx.globalCompositeOperation = this._blendMode;
+            ctx.drawImage(this._layerCanvas, devArea.x, devArea.y);
+        } finally {
+            ctx.restore();
+        }
+    }
+
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
     // Utility methods associated with measuring text
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -677,6 +1419,9 @@ export class DrawnObjectBase {
     // declaring extra damage. This method passes a damage report up the tree via 
     // our parent.
     public damageArea(xv: number, yv : number, wv : number, hv : number) : void {
+        // our own appearance has changed, so any cached bitmap of it is out of date
+        this._bitmapCacheValid = false;
+
         //===YOUR CODE HERE ===
         if (this.parent){
             // report the damage to parent in the tree
@@ -691,31 +1436,52 @@ export class DrawnObjectBase {
     // Declare that the entire bounding box has been damaged.  This is the typical 
     // default declaration for any damage since it is always safe to be pessimistic
     // and damage associated with this object can't have occurred outside it's bounding
-    // box due to clipping.
-    public damageAll() : void {this.damageArea(0,0,this.w,this.h);}
+    // box (expanded by its visualOverflow) due to clipping.
+    public damageAll() : void {
+        const vis = this.visualBounds;
+        this.damageArea(vis.x, vis.y, vis.w, vis.h);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Declare the damage caused by moving (or rotating, scaling, or fading) this 
+    // object within its parent.  That doesn't change our own appearance (so any 
+    // cached bitmap of us stays valid), so the damage is reported directly to our
+    // parent where possible.
+    protected _damageForMove() : void {
+        if (this.parent) {
+            const vis = this.visualBounds;
+            this.parent._damageFromChild(this, vis.x, vis.y, vis.w, vis.h);
+        } else {
+            this.damageAll();
+        }
+    }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // Receive a damage report from the given child object.  The area being reported
     // will be in the local coordinates of that child object (and will need to be 
-    // converted to local coordinates of this object).  This should report any 
-    // corresponding damage up the tree via our parent.  Note that the damage 
-    // reported up will not be outside our own bounds, even though the child 
-    // damage may be, since all drawing at or under this location in the tree is 
-    // limited to our bounds by clipping.
+    // converted to local coordinates of this object, which for a rotated or scaled 
+    // child gives the bounding box of the transformed area).  This should report any 
+    // corresponding damage up the tree via our parent.  Note that the damage is not
+    // clipped to our own bounds, so what is reported up may extend outside them 
+    // (e.g., when the child has a visualOverflow); that is always safe, since 
+    // declaring extra damage only causes extra redrawing.
     protected _damageFromChild(child : DrawnObjectBase, 
                                xInChildCoords: number, yInChildCoords: number, 
                                wv : number, hv: number) : void 
     {
+            // something within our subtree changed, so any cached bitmap is out of date
+            this._bitmapCacheValid = false;
+
             //===YOUR CODE HERE ===
             // translate to current (parent of the child) coordinates
-            let localx = xInChildCoords + child.x;
-            let localy = yInChildCoords + child.y;
+            const local = child.localRectToParent(
+                                {x:xInChildCoords, y:yInChildCoords, w:wv, h:hv});
 
-            // report upward if this have parent
-            if (this.parent){
-                this.parent._damageFromChild(this, localx, localy, wv, hv);
-            }
+            // report it as damage to ourselves, which passes it upward if we have a 
+            // parent (or records it if we are the top of the tree)
+            this.damageArea(local.x, local.y, local.w, local.h);
             
     }
 
@@ -1,9 +1,17 @@
 
 import { DrawnObjectBase } from "./DrawnObjectBase.js";
 import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawContext, PointLiteral, InsetsLiteral, CornerRadiiLiteral, 
+         toCornerRadii } from "./Util.js";
 
 //===================================================================
 // A simple rectangular object that just fills its bounding box with a color.
+//
+// The rectangle can optionally have rounded corners (each with its own radius), 
+// a border (with a color, width, and dash pattern), and a drop shadow.  The border
+// is centered on the edge of the rectangle and is drawn over any children, which 
+// are clipped to the (rounded) rectangle.  Since half of the border and the shadow 
+// fall outside our bounds, these are included in our visualOverflow.
 //===================================================================
 export class FilledObject extends DrawnObjectBase {
 
@@ -30,7 +38,10 @@ export class FilledObject extends DrawnObjectBase {
         //=== YOUR CODE HERE ===
         // set w to be new value if it changes
         if (!(this._w === v)){
+            // damage at old size
+            this.damageAll();
             this._w = v;
+            this.invalidateLayout();
             this.damageAll();
         }
        
@@ -43,7 +54,10 @@ export class FilledObject extends DrawnObjectBase {
         //=== YOUR CODE HERE ===
         // set h to be new value if it changes
         if (!(this._h === v)){
+            // damage at old size
+            this.damageAll();
             this._h = v;
+            this.invalidateLayout();
             this.damageAll();
         }
     }
@@ -76,18 +90,236 @@ export class FilledObject extends DrawnObjectBase {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Method to draw the filled rectangle contents for this object
-    protected override _drawSelfOnly(ctx: CanvasRenderingContext2D): void {
-        if (typeof this._color === 'number') {
+    // Color of our border (in any of the forms allowed for color), or undefined 
+    // (the default) for no border
+    protected _borderColor : string | number | undefined = undefined;
+    public get borderColor() : string | number | undefined {return this._borderColor;}
+    public set borderColor(v : string | number | undefined) {
+        if (!(v === this._borderColor)) {
+            this.damageAll();   // (our visual overflow may change)
+            this._borderColor = v;
+            this.damageAll();
+        }
+    }
+
+    // Width of our border (which is centered on our edges)
+    protected _borderWidth : number = 1;
+    public get borderWidth() : number {return this._borderWidth;}
+    public set borderWidth(v : number) {
+        v = Math.max(0, v);
+        if (!(v === this._borderWidth)) {
+            this.damageAll();   // (our visual overflow may change)
+            this._borderWidth = v;
+            this.damageAll();
+        }
+    }
+
+    // Dash pattern for our border (as for the canvas setLineDash()).  An empty 
+    // pattern (the default) gives a solid border.
+    protected _borderDash : number[] = [];
+    public get borderDash() : readonly number[] {return this._borderDash;}
+    public set borderDash(v : readonly number[]) {
+        if (!(v.length === this._borderDash.length && 
+              v.every((len, i) => len === this._borderDash[i]))) 
+        {
+            this._borderDash = [...v];
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Radius of each of our corners.  The setter will allow either a full set of 
+    // radii, or a single number used for all corners.  Radii which are too large to 
+    // fit are reduced proportionally when drawing (see _fittedRadii()).
+    protected _cornerRadii : CornerRadiiLiteral = 
+        {topLeft:0, topRight:0, bottomRight:0, bottomLeft:0};
+    public get cornerRadii() : CornerRadiiLiteral {return this._cornerRadii;}
+    public set cornerRadii(v : CornerRadiiLiteral | number) {
+        const r = toCornerRadii(v);
+        const cur = this._cornerRadii;
+        if (!(r.topLeft === cur.topLeft && r.topRight === cur.topRight && 
+              r.bottomRight === cur.bottomRight && r.bottomLeft === cur.bottomLeft)) 
+        {
+            this._cornerRadii = r;
+            this.damageAll();
+        }
+    }
+
+    // Indicate whether any of our corners are rounded
+    public get hasRoundedCorners() : boolean {
+        const r = this._cornerRadii;
+        return r.topLeft > 0 || r.topRight > 0 || r.bottomRight > 0 || r.bottomLeft > 0;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Color of our drop shadow (in any of the forms allowed for color), or 
+    // undefined (the default) for no shadow
+    protected _shadowColor : string | number | undefined = undefined;
+    public get shadowColor() : string | number | undefined {return this._shadowColor;}
+    public set shadowColor(v : string | number | undefined) {
+        if (!(v === this._shadowColor)) {
+            this.damageAll();   // (our visual overflow may change)
+            this._shadowColor = v;
+            this.damageAll();
+        }
+    }
+
+    // Blur distance of our shadow (as for the canvas shadowBlur)
+    protected _shadowBlur : number = 4;
+    public get shadowBlur() : number {return this._shadowBlur;}
+    public set shadowBlur(v : number) {
+        v = Math.max(0, v);
+        if (!(v === this._shadowBlur)) {
+            this.damageAll();   // (our visual overflow may change)
+            this._shadowBlur = v;
+            this.damageAll();
+        }
+    }
+
+    // Offset of our shadow from us
+    protected _shadowOffset : PointLiteral = {x:2, y:2};
+    public get shadowOffset() : PointLiteral {return this._shadowOffset;}
+    public set shadowOffset(v : PointLiteral) {
+        if (!(v.x === this._shadowOffset.x && v.y === this._shadowOffset.y)) {
+            this.damageAll();   // (our visual overflow may change)
+            this._shadowOffset = {x:v.x, y:v.y};
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // How far our drawing extends outside our bounds: half of our border, and the
+    // extent of our shadow around its offset position.  (The canvas blurs with a 
+    // standard deviation of shadowBlur/2, so the visible blur reaches about 
+    // 1.5 * shadowBlur.)
+    public override get visualOverflow() : InsetsLiteral {
+        const half = (this._borderColor !== undefined) ? this._borderWidth / 2 : 0;
+        if (this._shadowColor === undefined) {
+            return {top:half, right:half, bottom:half, left:half};
+        }
+        const blur = Math.ceil(1.5 * this._shadowBlur);
+        const off = this._shadowOffset;
+        return {top:    Math.max(half, blur - off.y), right: Math.max(half, blur + off.x),
+                bottom: Math.max(half, blur + off.y), left:  Math.max(half, blur - off.x)};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Convert one of our color values into a string usable as a canvas style
+    protected _colorString(v : string | number) : string {
+        if (typeof v === 'number') {
             // reformat the number into a string holding an HTML style hex notation number
-            ctx.fillStyle = '#' + this.color.toString(16);
-        } else {
-            ctx.fillStyle = this.color.toString();
+            return '#' + ('000000' + v.toString(16)).slice(-6);
+        }
+        return v.toString();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our corner radii, reduced (proportionally) if needed so that the corners along
+    // each edge fit within it
+    protected _fittedRadii() : CornerRadiiLiteral {
+        const r = this._cornerRadii;
+        const fit = (len : number, r1 : number, r2 : number) => 
+            (r1 + r2 > len) ? len / (r1 + r2) : 1;
+        const scale = Math.min(fit(this.w, r.topLeft, r.topRight),
+                               fit(this.w, r.bottomLeft, r.bottomRight),
+                               fit(this.h, r.topLeft, r.bottomLeft),
+                               fit(this.h, r.topRight, r.bottomRight));
+        return {topLeft: r.topLeft * scale, topRight: r.topRight * scale,
+                bottomRight: r.bottomRight * scale, bottomLeft: r.bottomLeft * scale};
+    }
+
+    // Create a new path around our (possibly rounded) bounding box
+    public override makeBoundingBoxPath(ctx : DrawContext) : void {
+        if (!this.hasRoundedCorners) {
+            super.makeBoundingBoxPath(ctx);
+            return;
+        }
+
+        const r = this._fittedRadii();
+        const w = this.w;
+        const h = this.h;
+        ctx.beginPath();
+        ctx.moveTo(r.topLeft, 0);
+        ctx.lineTo(w - r.topRight, 0);
+        ctx.arcTo(w, 0, w, r.topRight, r.topRight);
+        ctx.lineTo(w, h - r.bottomRight);
+        ctx.arcTo(w, h, w - r.bottomRight, h, r.bottomRight);
+        ctx.lineTo(r.bottomLeft, h);
+        ctx.arcTo(0, h, 0, h - r.bottomLeft, r.bottomLeft);
+        ctx.lineTo(0, r.topLeft);
+        ctx.arcTo(0, 0, r.topLeft, 0, r.topLeft);
+        ctx.closePath();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our children are clipped to our rounded corners (if any)
+    protected override _clipChildren(ctx : DrawContext) : void {
+        super._clipChildren(ctx);
+        if (this.hasRoundedCorners) {
+            this.makeBoundingBoxPath(ctx);
+            ctx.clip();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw this object, then our children, then our border over the top of them
+    public override draw(ctx : DrawContext) : void {
+        if (this.visible) {
+            this._drawSelfOnly(ctx);
+            this._drawChildren(ctx);
+            this._drawBorder(ctx);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Method to draw the filled rectangle contents for this object (with its shadow)
+    protected override _drawSelfOnly(ctx: CanvasRenderingContext2D): void {
+        // the shadow settings must not carry over to our children, so we save and
+        // restore around our drawing
+        ctx.save();
+        try {
+            ctx.fillStyle = this._colorString(this.color);
+            if (this._shadowColor !== undefined) {
+                ctx.shadowColor = this._colorString(this._shadowColor);
+                ctx.shadowBlur = this._shadowBlur;
+                ctx.shadowOffsetX = this._shadowOffset.x;
+                ctx.shadowOffsetY = this._shadowOffset.y;
+            }
+            
+            //=== YOUR CODE HERE ===
+            // draw the rectangle
+            if (this.hasRoundedCorners) {
+                this.makeBoundingBoxPath(ctx);
+                ctx.fill();
+            } else {
+                ctx.fillRect(0,0, this.w, this.h);
+            }
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    // Draw our border (if we have one)
+    protected _drawBorder(ctx : DrawContext) : void {
+        if (this._borderColor === undefined || this._borderWidth <= 0) return;
+        ctx.save();
+        try {
+            ctx.strokeStyle = this._colorString(this._borderColor);
+            ctx.lineWidth = this._borderWidth;
+            ctx.setLineDash(this._borderDash);
+            this.makeBoundingBoxPath(ctx);
+            ctx.stroke();
+        } finally {
+            ctx.restore();
         }
-        
-        //=== YOUR CODE HERE ===
-        // draw the rectangle
-        ctx.fillRect(0,0, this.w, this.h);
     }
 
     
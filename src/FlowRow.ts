@@ -0,0 +1,246 @@
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawContext } from "./Util.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
+import { Row } from "./Row.js";
+
+//===================================================================
+// A row layout class which wraps its children onto new lines (rather than
+// compressing and then clipping them) when they don't fit in its width.  This is
+// useful for things like lists of tags or palettes of icons where the number of
+// children varies.
+//
+// As with Row, this object must be given a width either by its parent during
+// layout, or simply in advance when the parent isn't doing layout.  Children are
+// set to their natural size and placed left to right.  When the next child would
+// extend past our width, a new line is started below the current one.  (A child
+// which is too wide on a line by itself is compressed within the limits of its
+// configuration, and clipped at the right if that isn't enough.)  Each line is as
+// tall as the tallest child in it, and within each line children are top, center,
+// or bottom justified, stretched to the line height, or aligned on a common 
+// baseline (as controlled by the hJustification property inherited from Row).  
+// Our height is set to the total height of the lines, so it depends on the number
+// of lines the children wrap into at our current width.
+//
+// Each child's margins are left around it (and count as part of the space it takes
+// on its line), and all the lines are placed inside our padding.
+//===================================================================
+export class FlowRow extends Row {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Our height always depends on our width (which determines how our children wrap)
+    public override get heightDependsOnWidth() : boolean {return true;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Determine the size configuration for this object assuming that the size
+    // configuration of each child object is up to date.
+    //
+    // Our width min is set to hold the widest child (since that child will end up
+    // on a line by itself at the narrowest), our natural width is set to hold all
+    // the children on a single line, and we can be stretched without limit.
+    //
+    // Our height is fixed at the height needed for the lines our children wrap into
+    // at our current width.
+    //
+    // Child margins are included in the space each child takes, and our padding is
+    // added to both configurations.
+    protected override _doLocalSizing() : void {
+        const pad = this.padding;
+        let minW = 0;
+        let naturalW = 0;
+        for (let child of this.children) {
+            minW = Math.max(minW, this._flowWidth(child));
+            naturalW += this._flowWidth(child);
+        }
+
+        const padW = pad.left + pad.right;
+        this._wConfig = {nat: naturalW + padW, min: minW + padW, max: SizeConfig.INF};
+        this._hConfig = this.heightForWidth(this.w);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Return the height configuration we would have if given the proposed width: 
+    // fixed at the height of the lines our children wrap into at that width (plus
+    // our padding).
+    public override heightForWidth(proposedW : number) : SizeConfigLiteral {
+        const pad = this.padding;
+        let naturalH = 0;
+        for (let line of this._breakLines(proposedW - pad.left - pad.right)) {
+            naturalH += this._lineHeight(line);
+        }
+        return SizeConfig.fixed(naturalH + pad.top + pad.bottom);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Width the given child takes up on a line (its natural width plus its margins)
+    protected _flowWidth(child : DrawnObjectBase) : number {
+        return child.wConfig.nat + child.margin.left + child.margin.right;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Break our children into lines which each fit within the given width when
+    // the children are placed at their natural widths (with their margins).  Every
+    // line holds at least one child (even if that child is too wide to fit).
+    protected _breakLines(width : number) : DrawnObjectBase[][] {
+        const lines : DrawnObjectBase[][] = [];
+        let line : DrawnObjectBase[] = [];
+        let lineW = 0;
+        for (let child of this.children) {
+            if (line.length > 0 && lineW + this._flowWidth(child) > width) {
+                lines.push(line);
+                line = [];
+                lineW = 0;
+            }
+            line.push(child);
+            lineW += this._flowWidth(child);
+        }
+        if (line.length > 0) lines.push(line);
+        return lines;
+    }
+
+    // Height of the given line of children (the maximum of their natural heights, or 
+    // when aligning on baselines, the height needed to hold them once aligned), 
+    // including their margins
+    protected _lineHeight(line : readonly DrawnObjectBase[]) : number {
+        if (this._hJustification === 'baseline') {
+            const [above, below] = this._baselineExtents(line);
+            return above + below;
+        }
+        let result = 0;
+        for (let child of line) {
+            result = Math.max(result, 
+                              child.hConfig.nat + child.margin.top + child.margin.bottom);
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the local portion of the top down pass which sets the final
+    // size and position of the immediate children of this object.
+    //
+    // We break the children into lines that fit our width (see _breakLines()), set
+    // each child to its natural size (compressing a child that doesn't fit on a line
+    // by itself), then stack the lines vertically, placing children left to right
+    // within each line and justifying them vertically within the line (based on
+    // hJustification).  Finally we shrinkwrap our height to the height of the lines.
+    // All of this is done inside our padding, with each child's margins left around
+    // it.
+    protected override _completeLocalLayout() : void {
+        // if we have no children we can be done now (and avoid some edge cases)
+        if (this.children.length === 0) return;
+
+        const pad = this.padding;
+        const innerW = this.w - pad.left - pad.right;
+        let ypos = pad.top;
+        let firstLine = true;
+        for (let line of this._breakLines(innerW)) {
+            const lineH = this._lineHeight(line);
+            const [lineBase] = this._baselineExtents(line);
+
+            // our own baseline is the baseline of our first line
+            if (firstLine) this._rowBaseline = ypos + lineBase;
+            firstLine = false;
+
+            let xpos = pad.left;
+            for (let child of line) {
+                const m = child.margin;
+                child.w = SizeConfig.withinConfig(
+                    Math.min(child.wConfig.nat, innerW - m.left - m.right), child.wConfig);
+                child.h = child.hConfig.nat;
+                child.x = xpos + m.left;
+                xpos += m.left + child.w + m.right;
+
+                // apply our justification setting for the vertical within the line
+                const innerH = lineH - m.top - m.bottom;
+                switch (this._hJustification) {
+                    case 'top':
+                        child.y = ypos + m.top;
+                        break;
+                    case 'center':
+                        child.y = ypos + m.top + innerH / 2 - child.h / 2;
+                        break;
+                    case 'bottom':
+                        child.y = ypos + m.top + innerH - child.h;
+                        break;
+                    case 'stretch':
+                        child.h = SizeConfig.withinConfig(innerH, child.hConfig);
+                        child.y = ypos + m.top;
+                        break;
+                    case 'baseline':
+                        child.y = ypos + lineBase - child.baseline;
+                        break;
+                    default:
+                        child.y = ypos + m.top;
+                }
+            }
+            ypos += lineH;
+        }
+
+        // shrinkwrap: set our height to the total height of the lines (and padding)
+        ypos += pad.bottom;
+        this._hConfig = SizeConfig.fixed(ypos);
+        this.h = ypos;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+}
+
+//===================================================================
+
+export class FlowRow_debug extends FlowRow {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    protected override _drawSelfOnly(ctx: DrawContext) : void {
+        ctx.fillStyle = 'lavender';
+        ctx.fillRect(0,0,this.w,this.h);
+        ctx.strokeStyle = 'black';
+        ctx.strokeRect(0,0,this.w,this.h);
+
+        super._drawSelfOnly(ctx);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    public draw(ctx : DrawContext) : void {
+        if (this.visible) {
+            this._drawSelfOnly(ctx);
+            this._drawChildren(ctx);
+
+            // also draw an extra box on top of children
+            ctx.strokeStyle = 'black';
+            ctx.strokeRect(0,0,this.w,this.h);
+        }
+    }
+} // end of FlowRow_debug class
+
+//===================================================================
@@ -0,0 +1,129 @@
+import { Err } from "./Err.js";
+
+//===================================================================
+// Something which uses fonts and needs to know when one of them finishes loading
+// (typically so it can re-measure its text)
+export type FontUser = {fontLoaded() : void};
+
+//===================================================================
+// (Static) class which tracks fonts that have not finished loading yet, and tells
+// the objects using them when they have.
+//
+// Text is measured as soon as its text or font is set, but a font which is still
+// loading (e.g., one declared with @font-face) is measured (and drawn) using a
+// fallback font, so the measurement is wrong once the real font arrives.  Objects
+// which measure text register the fonts they use with FontWatcher.watch().  Fonts
+// which are already available are ignored.  For the others, we ask the document to
+// load them (drawing text in a canvas doesn't always do that by itself), then each
+// time loading completes (each load we started, or a 'loadingdone' event from
+// document.fonts) we check which fonts are now available and call fontLoaded() on
+// each object waiting for one of them.  Objects are only remembered until their
+// fonts are available (or fail to load), they register again (replacing their 
+// previous registration), or they are unregistered with FontWatcher.unwatch() 
+// (which text objects do when they are removed from the tree).
+//
+// Outside of a browser (where there is no document.fonts) all fonts are treated as
+// available.
+//===================================================================
+export class FontWatcher {
+
+    // Objects waiting on each font (given as a CSS font specification string) which
+    // has not finished loading
+    protected static _waiting : Map<string, Set<FontUser>> = new Map();
+
+    // Whether we are listening for font loading events from the document
+    protected static _listening : boolean = false;
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The set of fonts for the document (if there is one)
+    public static get fontSet() : FontFaceSet | undefined {
+        if (typeof document === 'undefined' || !document.fonts) return undefined;
+        return document.fonts;
+    }
+
+    // Whether the given font (a CSS font specification string) is available for use.
+    // Fonts we can't check (including badly formatted ones) are treated as available.
+    public static isLoaded(font : string) : boolean {
+        const fonts = FontWatcher.fontSet;
+        if (!fonts) return true;
+        try {
+            return fonts.check(font);
+        } catch (err) {
+            return true;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Register the fonts used by the given object (replacing any it registered
+    // before).  If any of them are not yet available, the object's fontLoaded() 
+    // method is called once they finish loading.
+    public static watch(user : FontUser, fonts : readonly string[]) : void {
+        const fontSet = FontWatcher.fontSet;
+        if (!fontSet) return;
+        FontWatcher.unwatch(user);
+
+        for (let font of fonts) {
+            if (FontWatcher.isLoaded(font)) continue;
+
+            let users = FontWatcher._waiting.get(font);
+            if (!users) {
+                // first wait for this font, so start it loading
+                users = new Set();
+                FontWatcher._waiting.set(font, users);
+                fontSet.load(font).then(() => FontWatcher._checkLoaded(), (err) => {
+                    // the font won't arrive, so stop waiting for it.  We report that,
+                    // but never rethrow (nothing above us could catch it), and wrap 
+                    // reasons which aren't objects (which Err.handle() can't inspect).
+                    FontWatcher._waiting.delete(font);
+                    const reason = (typeof err === 'object' && err !== null) ? 
+                                        err : new Error(String(err));
+                    const meth = Err.handleMethod === 'throw' ? 'message' : Err.handleMethod;
+                    Err.handle(reason, `(Loading font "${font}")`, meth);
+                });
+            }
+            users.add(user);
+        }
+
+        if (!FontWatcher._listening && FontWatcher._waiting.size > 0) {
+            FontWatcher._listening = true;
+            fontSet.addEventListener('loadingdone', () => FontWatcher._checkLoaded());
+        }
+    }
+
+    // Stop waiting on fonts for the given object (dropping fonts nothing is waiting
+    // on any more)
+    public static unwatch(user : FontUser) : void {
+        for (let [font, users] of FontWatcher._waiting) {
+            users.delete(user);
+            if (users.size === 0) FontWatcher._waiting.delete(font);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check which of the fonts being waited on are now available, and notify the
+    // objects waiting on them (reporting, but otherwise ignoring, any errors)
+    protected static _checkLoaded() : void {
+        const ready : Set<FontUser> = new Set();
+        for (let [font, users] of FontWatcher._waiting) {
+            if (!FontWatcher.isLoaded(font)) continue;
+            for (let user of users) ready.add(user);
+            FontWatcher._waiting.delete(font);
+        }
+
+        for (let user of ready) {
+            try {
+                user.fontLoaded();
+            } catch (err) {
+                Err.handle(err, '(During font load notification)');
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+}
+
+//===================================================================
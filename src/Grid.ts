@@ -0,0 +1,508 @@
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawContext, HJust, WJust } from "./Util.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
+import { Group } from "./Group.js";
+import { Spring } from "./Spring.js";
+
+// Simple type describing the cell (or block of cells) a grid child occupies
+export type GridCell = {row: number, col: number, rowSpan: number, colSpan: number};
+
+//===================================================================
+// A two dimensional grid layout class designed to work with springs and struts
+// layout.  Each child is placed in a cell (or a rectangular block of cells when
+// it spans more than one row or column) given with addChildInCell() or setCell().
+// Children added with the normal child list methods (addChild(), etc.) are placed
+// at the start of a new row below all the existing rows.
+//
+// Each row and column of the grid (each "track") gets a size configuration
+// computed from the children in it.  A track's configuration is the (piecewise)
+// maximum of the configurations of the single cell children in that track.
+// Children that span several tracks then add any extra size they need evenly
+// across the tracks they span.  A track holding only Spring objects is treated as a
+// spring itself, with the (piecewise) maximum of the configurations of its springs
+// (by default min=0, natural=0, max=infinite) and the largest of their weights.
+//
+// This object must be given both a width and height, either by its parent during
+// layout, or simply in advance when the parent isn't doing layout.  Tracks are then
+// sized with the same rules Row and Column use: excess space beyond the natural
+// size of the tracks is divided among spring tracks by weight (within their limits),
+// and any shortfall is made up first from spring tracks (again by weight) and then
+// by compressing the other tracks within their (min) limits.  Each child is sized to fit its
+// cell (but within its own configuration) and justified within the cell (or 
+// stretched to fill it within its limits) as controlled by the wJustification 
+// and hJustification properties of this object.
+// Spring children are sized to fill their cell.
+//
+// Each child's margins are left around it inside its cell (and so add to the size
+// the child needs from the tracks it is in), and all the tracks are placed inside
+// our padding.
+//===================================================================
+export class Grid extends Group {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+
+        // justification of children within their cells
+        this._wJustification = 'left';
+        this._hJustification = 'top';
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // How are objects positioned horizontally within their cell
+    protected _wJustification : WJust = 'left';
+    public get wJustification() {return this._wJustification;}
+    public set wJustification(v : WJust) {
+        if (!(v === this._wJustification)) {
+            this._wJustification = v;
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our layout...
+        }
+    }
+
+    // How are objects positioned vertically within their cell
+    protected _hJustification : HJust = 'top';
+    public get hJustification() {return this._hJustification;}
+    public set hJustification(v : HJust) {
+        if (!(v === this._hJustification)) {
+            this._hJustification = v;
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our layout...
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Record of the cell occupied by each of our children
+    protected _cells : Map<DrawnObjectBase, GridCell> = new Map();
+
+    // Return the cell occupied by the given child (or undefined if it is not a
+    // child of this object).
+    public cellOf(child : DrawnObjectBase) : GridCell | undefined {
+        const cell = this._cells.get(child);
+        return cell ? {...cell} : undefined;
+    }
+
+    // Number of rows and columns currently covered by the cells of our children
+    public get numRows() : number {
+        let result = 0;
+        for (let cell of this._cells.values()) {
+            result = Math.max(result, cell.row + cell.rowSpan);
+        }
+        return result;
+    }
+    public get numCols() : number {
+        let result = 0;
+        for (let cell of this._cells.values()) {
+            result = Math.max(result, cell.col + cell.colSpan);
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Size configurations for each column and row, along with an indication of which
+    // tracks act as springs (and the weights of those tracks).  These are computed 
+    // during _doLocalSizing().
+    protected _colConfigs : SizeConfigLiteral[] = [];
+    protected _colSprings : boolean[] = [];
+    protected _colWeights : number[] = [];
+    protected _rowConfigs : SizeConfigLiteral[] = [];
+    protected _rowSprings : boolean[] = [];
+    protected _rowWeights : number[] = [];
+
+    // Read only access to the track configurations from the last sizing pass
+    public get colConfigs() : readonly SizeConfigLiteral[] {return this._colConfigs;}
+    public get rowConfigs() : readonly SizeConfigLiteral[] {return this._rowConfigs;}
+
+    //-------------------------------------------------------------------
+    // Child list maintenance
+    //-------------------------------------------------------------------
+
+    // Add the given child to the grid so that it occupies the cell at the given row
+    // and column, extending across the given number of rows and columns.
+    public addChildInCell(newChild : DrawnObjectBase,
+                          row : number, col : number,
+                          rowSpan : number = 1, colSpan : number = 1) : DrawnObjectBase
+    {
+        this.addChild(newChild);
+        this.setCell(newChild, row, col, rowSpan, colSpan);
+        return this;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Move the given child to a new cell (or block of cells).  If the object given
+    // is not one of our children, this does nothing.
+    public setCell(child : DrawnObjectBase,
+                   row : number, col : number,
+                   rowSpan : number = 1, colSpan : number = 1) : void
+    {
+        if (this.findChild(child) === -1) return;
+        const cell = {row: Math.max(0, Math.floor(row)),
+                      col: Math.max(0, Math.floor(col)),
+                      rowSpan: Math.max(1, Math.floor(rowSpan)),
+                      colSpan: Math.max(1, Math.floor(colSpan))};
+        const old = this._cells.get(child);
+        if (old && old.row === cell.row && old.col === cell.col &&
+            old.rowSpan === cell.rowSpan && old.colSpan === cell.colSpan) return;
+        this._cells.set(child, cell);
+        this.invalidateLayout();
+        this.damageAll();  // we have damaged our layout...
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Override adding of children so that every child has a cell.  Children added
+    // here are placed at the start of a new row below all the existing rows (a
+    // different cell can then be given with setCell()).
+    public override addChildAt(newChild : DrawnObjectBase,
+                               indx : number = this.children.length) : DrawnObjectBase
+    {
+        const row = this.numRows;
+        super.addChildAt(newChild, indx);
+        this._cells.set(newChild, {row, col:0, rowSpan:1, colSpan:1});
+        this.damageAll();
+        return this;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Override removal of children so we drop the record of their cell
+    public override detachChildAt(indx : number) : DrawnObjectBase | undefined {
+        const child = super.detachChildAt(indx);
+        if (child) this._cells.delete(child);
+        return child;
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Determine the size configuration for this object assuming that the size
+    // configuration of each child object is up to date.
+    //
+    // This computes a configuration for each column and row (see _measureTracks()),
+    // then sets our width configuration to the sum of the column configurations and
+    // our height configuration to the sum of the row configurations (in each case 
+    // plus our padding).
+    protected override _doLocalSizing() : void {
+        [this._colConfigs, this._colSprings, this._colWeights] = 
+            this._measureTracks('w', this.numCols);
+        [this._rowConfigs, this._rowSprings, this._rowWeights] = 
+            this._measureTracks('h', this.numRows);
+
+        const pad = this.padding;
+        let wConf : SizeConfigLiteral = SizeConfig.fixed(pad.left + pad.right);
+        for (let conf of this._colConfigs) wConf = SizeConfig.add(wConf, conf);
+        let hConf : SizeConfigLiteral = SizeConfig.fixed(pad.top + pad.bottom);
+        for (let conf of this._rowConfigs) hConf = SizeConfig.add(hConf, conf);
+
+        this._wConfig = wConf;
+        this._hConfig = hConf;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Compute size configurations for the tracks (columns for 'w' or rows for 'h')
+    // of the grid.  This returns a tuple containing the list of configurations, a 
+    // parallel list indicating which tracks act as springs, and a parallel list of 
+    // the weights of the spring tracks (zero for other tracks).
+    //
+    // Each track starts as the (piecewise) maximum of the children that sit only in
+    // that track.  A track with springs but no other children in it is a spring track
+    // and is configured as the (piecewise) maximum of its springs, with the largest 
+    // of their weights.  Then for each
+    // child spanning several tracks, any shortfall between the sum of the tracks it
+    // spans and its own configuration (min and natural) is spread evenly across the
+    // non-spring tracks it spans (or all the tracks it spans if they are all springs).
+    protected _measureTracks(dir : 'w' | 'h', count : number)
+        : [SizeConfigLiteral[], boolean[], number[]]
+    {
+        const confs : SizeConfigLiteral[] = [];
+        const springConfs : SizeConfigLiteral[] = [];
+        const weights : number[] = [];
+        const hasSpring : boolean[] = [];
+        const hasContent : boolean[] = [];
+        for (let i = 0; i < count; i++) {
+            confs.push(SizeConfig.fixed(0));
+            springConfs.push(SizeConfig.fixed(0));
+            weights.push(0);
+            hasSpring.push(false);
+            hasContent.push(false);
+        }
+
+        // single track children
+        for (let child of this.children) {
+            const [start, span] = this._trackRange(child, dir);
+            if (span !== 1) continue;
+            if (child instanceof Spring) {
+                hasSpring[start] = true;
+                springConfs[start] = SizeConfig.maximum(springConfs[start], 
+                                                        this._childConfig(child, dir));
+                weights[start] = Math.max(weights[start], child.weight);
+            } else {
+                hasContent[start] = true;
+                confs[start] = SizeConfig.maximum(confs[start], this._childConfig(child, dir));
+            }
+        }
+
+        // spring tracks
+        const springs : boolean[] = [];
+        for (let i = 0; i < count; i++) {
+            springs.push(hasSpring[i] && !hasContent[i]);
+            if (springs[i]) {
+                confs[i] = springConfs[i];
+            } else {
+                weights[i] = 0;
+            }
+        }
+
+        // children spanning several tracks
+        for (let child of this.children) {
+            const [start, span] = this._trackRange(child, dir);
+            if (span === 1 || child instanceof Spring) continue;
+
+            // work out which tracks the extra will go to
+            let targets : number[] = [];
+            for (let i = start; i < start + span; i++) if (!springs[i]) targets.push(i);
+            if (targets.length === 0) {
+                for (let i = start; i < start + span; i++) targets.push(i);
+            }
+
+            // determine how much more the spanned tracks need to provide
+            let spanned : SizeConfigLiteral = SizeConfig.fixed(0);
+            for (let i = start; i < start + span; i++) {
+                spanned = SizeConfig.add(spanned, confs[i]);
+            }
+            const conf = this._childConfig(child, dir);
+            const extraMin = Math.max(0, conf.min - spanned.min) / targets.length;
+            const extraNat = Math.max(0, conf.nat - spanned.nat) / targets.length;
+            for (let i of targets) {
+                confs[i].min += extraMin;
+                confs[i].nat += extraNat;
+                confs[i].max = Math.max(confs[i].max, confs[i].nat);
+                SizeConfig.canonicalize(confs[i]);
+            }
+        }
+
+        return [confs, springs, weights];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Size configuration of the given child in the given direction, including the
+    // space taken by its margins
+    protected _childConfig(child : DrawnObjectBase, dir : 'w' | 'h') : SizeConfigLiteral {
+        const m = child.margin;
+        return (dir === 'w') ? SizeConfig.add(child.wConfig, SizeConfig.fixed(m.left + m.right))
+                             : SizeConfig.add(child.hConfig, SizeConfig.fixed(m.top + m.bottom));
+    }
+
+    // Starting track and number of tracks covered by the given child in the
+    // given direction
+    protected _trackRange(child : DrawnObjectBase, dir : 'w' | 'h') : [number, number] {
+        const cell = this._cells.get(child) ?? {row:0, col:0, rowSpan:1, colSpan:1};
+        return (dir === 'w') ? [cell.col, cell.colSpan] : [cell.row, cell.rowSpan];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Determine the final sizes of a set of tracks given the total space available.
+    // This follows the springs and struts rules used by Row and Column.  If there is
+    // excess space beyond the natural size of the tracks, it is divided among the 
+    // spring tracks in proportion to their weights and within their limits (see 
+    // SizeConfig.distributeExcess()), with anything they can't take left at the end.
+    // If there is a shortfall, the spring tracks give up what they can first (again
+    // by weight, down to their min, see SizeConfig.distributeShortfall()).  Then the
+    // other tracks are compressed in proportion to their compressability (nat-min), 
+    // but never past their min (if the shortfall can't be made up, clipping will 
+    // occur at the end).
+    protected _adjustTracks(confs : readonly SizeConfigLiteral[],
+                            springs : readonly boolean[],
+                            weights : readonly number[],
+                            avail : number) : number[]
+    {
+        const sizes : number[] = confs.map((conf) => conf.nat);
+        const springTracks : number[] = [];
+        let natSum = 0;
+        let availCompr = 0;
+        for (let i = 0; i < confs.length; i++) {
+            natSum += confs[i].nat;
+            if (springs[i]) {
+                springTracks.push(i);
+            } else {
+                availCompr += confs[i].nat - confs[i].min;
+            }
+        }
+        const springConfs = springTracks.map((trk) => confs[trk]);
+        const springWeights = springTracks.map((trk) => weights[trk]);
+
+        let excess = avail - natSum;
+        if (excess >= 0) {
+            // divide the excess among the spring tracks (what they can't take, 
+            // including all of it if there are none, ends up at the end)
+            const [springSizes] = SizeConfig.distributeExcess(springConfs, springWeights,
+                                                              excess);
+            for (let i = 0; i < springTracks.length; i++) {
+                sizes[springTracks[i]] = springSizes[i];
+            }
+        } else { // negative excess (AKA shortfall) case
+            // take what we can out of the spring tracks
+            const [springSizes, leftover] = 
+                SizeConfig.distributeShortfall(springConfs, springWeights, -excess);
+            for (let i = 0; i < springTracks.length; i++) {
+                sizes[springTracks[i]] = springSizes[i];
+            }
+
+            // if we have no compressability we will end up clipping
+            if (availCompr === 0) return sizes;
+            const shortfall = Math.min(availCompr, leftover);
+            for (let i = 0; i < sizes.length; i++) {
+                if (springs[i]) continue;
+                const fraction = (confs[i].nat - confs[i].min) / availCompr;
+                sizes[i] = Math.max(confs[i].min, confs[i].nat - fraction * shortfall);
+            }
+        }
+        return sizes;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the local portion of the top down pass which sets the final
+    // size and position of the immediate children of this object.
+    // This assumes that the sizing configuration of all objects has already
+    // been done in a prior pass, and that our parent has completed its layout and
+    // set our size (or our size was otherwise set).
+    //
+    // We use _adjustTracks() to size the columns to our width and the rows to our
+    // height (inside our padding).  Each child is then sized to cover its cell (less
+    // its margins), but kept within its own configuration, and justified within the 
+    // cell based on wJustification and hJustification.  Spring children are simply 
+    // sized to match their cell.
+    protected override _completeLocalLayout() : void {
+        // if we have no children we can be done now (and avoid some edge cases)
+        if (this.children.length === 0) return;
+
+        const pad = this.padding;
+        const colSizes = this._adjustTracks(this._colConfigs, this._colSprings, 
+                                            this._colWeights, this.w - pad.left - pad.right);
+        const rowSizes = this._adjustTracks(this._rowConfigs, this._rowSprings, 
+                                            this._rowWeights, this.h - pad.top - pad.bottom);
+
+        // positions of the start of each track
+        const colPos : number[] = [pad.left];
+        for (let sz of colSizes) colPos.push(colPos[colPos.length-1] + sz);
+        const rowPos : number[] = [pad.top];
+        for (let sz of rowSizes) rowPos.push(rowPos[rowPos.length-1] + sz);
+
+        for (let child of this.children) {
+            const [col, colSpan] = this._trackRange(child, 'w');
+            const [row, rowSpan] = this._trackRange(child, 'h');
+            // the part of the cell inside the child's margins
+            const m = child.margin;
+            const cellX = colPos[col] + m.left;
+            const cellY = rowPos[row] + m.top;
+            const cellW = Math.max(0, colPos[col + colSpan] - cellX - m.right);
+            const cellH = Math.max(0, rowPos[row + rowSpan] - cellY - m.bottom);
+
+            // springs fill the cell, other children fit within it if they can
+            if (child instanceof Spring) {
+                child.w = cellW;
+                child.h = cellH;
+            } else {
+                child.w = SizeConfig.withinConfig(Math.min(cellW, child.wConfig.nat),
+                                                  child.wConfig);
+                child.h = SizeConfig.withinConfig(Math.min(cellH, child.hConfig.nat),
+                                                  child.hConfig);
+            }
+
+            // apply our justification settings within the cell
+            switch (this._wJustification) {
+                case 'left':
+                    child.x = cellX;
+                    break;
+                case 'center':
+                    child.x = cellX + cellW / 2 - child.w / 2;
+                    break;
+                case 'right':
+                    child.x = cellX + cellW - child.w;
+                    break;
+                case 'stretch':
+                    child.w = SizeConfig.withinConfig(cellW, child.wConfig);
+                    child.x = cellX;
+                    break;
+                default:
+                    child.x = cellX;
+            }
+            switch (this._hJustification) {
+                case 'top':
+                    child.y = cellY;
+                    break;
+                case 'center':
+                    child.y = cellY + cellH / 2 - child.h / 2;
+                    break;
+                case 'bottom':
+                    child.y = cellY + cellH - child.h;
+                    break;
+                case 'stretch':
+                    child.h = SizeConfig.withinConfig(cellH, child.hConfig);
+                    child.y = cellY;
+                    break;
+                default:
+                    child.y = cellY;
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+}
+
+//===================================================================
+
+export class Grid_debug extends Grid {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    protected override _drawSelfOnly(ctx: DrawContext) : void {
+        ctx.fillStyle = 'honeydew';
+        ctx.fillRect(0,0,this.w,this.h);
+        ctx.strokeStyle = 'black';
+        ctx.strokeRect(0,0,this.w,this.h);
+
+        super._drawSelfOnly(ctx);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    public draw(ctx : DrawContext) : void {
+        if (this.visible) {
+            this._drawSelfOnly(ctx);
+            this._drawChildren(ctx);
+
+            // also draw an extra box on top of children
+            ctx.strokeStyle = 'black';
+            ctx.strokeRect(0,0,this.w,this.h);
+        }
+    }
+} // end of Grid_debug class
+
+//===================================================================
@@ -1,11 +1,18 @@
 import {DrawnObjectBase} from "./DrawnObjectBase.js";
+import {InsetsLiteral, RectLiteral, toInsets} from "./Util.js";
+import {SizeConfig} from "./SizeConfig.js";
 
 //===================================================================
 // A simple container object for grouping a set of child objects together.
 // This does not produce any output, and does not size, position, or otherwise
 // modify it's child objects at all.  It simply draws its children (clipped to
-// it's bounding box.)  This turns out to not require anything beyond the 
-// base class, but we introduce this class for clarity of naming anyway.
+// it's bounding box.)  
+//
+// A group can also be given padding: space inside its bounding box, along its 
+// edges, that children are kept out of.  Here children are simply clipped to the 
+// area inside the padding, and the padding sets a minimum size for the group.  
+// Layout subclasses (e.g., Row and Column) also position their children inside the 
+// padding and add it to their size configuration.
 //===================================================================
 
 export class Group extends DrawnObjectBase {
@@ -19,4 +26,60 @@ export class Group extends DrawnObjectBase {
         super(x,y,w,h,vis);
         
     }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Space inside our bounding box, along each edge, which children are kept out 
+    // of.  The setter here will allow either a full set of insets, or a single number
+    // which will be applied to all four sides.  (As with margin, the getter returns
+    // a copy, so changes must be made through the setter.)
+    protected _padding : InsetsLiteral = {top:0, right:0, bottom:0, left:0};
+    public get padding() : InsetsLiteral {return {...this._padding};}
+    public set padding(v : InsetsLiteral | number) {
+        const newPad = toInsets(v);
+        if (!(newPad.top === this._padding.top && newPad.right === this._padding.right &&
+              newPad.bottom === this._padding.bottom && newPad.left === this._padding.left))
+        {
+            this._padding = newPad;
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our layout...
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Do the size configuration for this object.  As in the base class our natural 
+    // size is our current size and our max is left as configured, but our min is the
+    // smallest size we can be made (see _minSize()).  The configuration is rebuilt
+    // each time (rather than raising the min in place), so the min also goes back 
+    // down when what it was computed from shrinks.
+    protected override _doLocalSizing() : void {
+        const [minW, minH] = this._minSize();
+        this.wConfig = new SizeConfig(this.w, minW, Math.max(minW, this.wConfig.max));
+        this.hConfig = new SizeConfig(this.h, minH, Math.max(minH, this.hConfig.max));
+    }
+
+    // Smallest width and height we can be made.  Here that is just room for our 
+    // padding.
+    protected _minSize() : [number, number] {
+        return [this._padding.left + this._padding.right, 
+                this._padding.top + this._padding.bottom];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Area that our children are clipped to (in addition to their own bounds) when 
+    // they are drawn.  We clip them to the area inside our padding.
+    protected override _childClipArea() : RectLiteral | undefined {
+        const pad = this._padding;
+        if (pad.top === 0 && pad.right === 0 && pad.bottom === 0 && pad.left === 0) {
+            return undefined;
+        }
+        return {x: pad.left, y: pad.top, 
+                w: this.w - pad.left - pad.right, h: this.h - pad.top - pad.bottom};
+    }
 }
\ No newline at end of file
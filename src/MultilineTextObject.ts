@@ -0,0 +1,286 @@
+import { DrawContext, SizeLiteral, RenderOp } from "./Util.js";
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { TextObject } from "./TextObject.js";
+import { FontWatcher } from "./FontWatcher.js";
+
+// A word of our text along with its measured width
+type MeasuredWord = {text : string, w : number};
+
+//===================================================================
+// Object that displays text over multiple lines.  Explicit newlines in the text
+// always start a new line, and otherwise the text is wrapped at spaces (word
+// boundaries) so that each line fits within our width.  A word too long to fit on a
+// line by itself is placed on its own line (and clipped).
+//
+// Lines are lineHeight times the height of the font apart, with the extra space (if
+// any) split evenly above and below the text of each line.  Padding (as in TextObject)
+// is placed on both sides horizontally (padding.w) and vertically (padding.h).  Each
+// line is aligned horizontally according to hAlign, and the block of lines is 
+// aligned vertically according to vAlign.  (The overflow policy of TextObject is
+// not used: lines which don't fit are simply clipped.)
+//
+// For layout, our width can range from the width of our longest word (our min) to
+// the width of the text with no wrapping (our natural size and max).  Our height
+// depends on our width (see heightForWidth()), so once our width is known our height
+// is fixed at what the wrapped lines need.
+//===================================================================
+export class MultilineTextObject extends TextObject {
+
+    public constructor(
+        x          : number,
+        y          : number,
+        text       : string = "",
+        font       : string = TextObject.DEFAULT_FONT,
+        padding    : SizeLiteral | number = 0,
+        color      : string | number = 'black',
+        renderType : RenderOp = 'fill',
+        lineHeight : number = 1)
+    {
+        super(x,y,text,font,padding,color,renderType);
+        this._lineHeight = lineHeight;
+
+        // measure our text, then start out at our natural (unwrapped) size
+        this._recalcSize();
+        this._w = this._wConfig.nat;
+        this._setSizeConfigs();
+        this._h = this._hConfig.nat;
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Distance between successive lines, as a multiple of the height of our font
+    protected _lineHeight : number = 1;
+    public get lineHeight() : number {return this._lineHeight;}
+    public set lineHeight(v : number) {
+        if (!(v > 0)) throw new Error(`Invalid line height ${v} for ${this.tagString()}`);
+        if (!(v === this._lineHeight)) {
+            this._lineHeight = v;
+            this._recalcSize();
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The measured words of each paragraph of our text (the parts of it separated by
+    // explicit newlines), along with the width of a space.  (The height of a line of
+    // text and the distance from its top to its baseline are kept in _textH and 
+    // _baseln as in TextObject.)
+    protected _paragraphs : MeasuredWord[][] = [];
+    protected _spaceW : number = 0;
+
+    // The width of our longest word, and the width of our text with no wrapping
+    protected _minTextW : number = 0;
+    protected _natTextW : number = 0;
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Distance from one line to the next
+    public get linePitch() : number {return this._lineHeight * this._textH;}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our height always depends on our width (which determines how our text wraps)
+    public override get heightDependsOnWidth() : boolean {return true;}
+
+    // Distance from the top of this object to the baseline of our first line
+    public override get baseline() : number {
+        return this._textTop() + (this.linePitch - this._textH) / 2 + this._baseln;
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Recalculate our size configuration based on our text (measuring each word
+    // along with our font).  Our height configuration (and height) are set for our
+    // current width.
+    protected override _recalcSize(ctx? : DrawContext) : void {
+        // this is called from the TextObject constructor before we are set up,
+        // so we skip it then (and do it in our own constructor instead)
+        if (this._lineHeight === undefined) return;
+
+        const space = this._measureText(' ', this.font, ctx);
+        // (while detached, _setParent() starts the watch when we are attached)
+        if (this.parent) FontWatcher.watch(this, this._fontsUsed());
+        this._spaceW = space.w;
+        this._textH = space.h;
+        this._baseln = space.baseln;
+
+        this._paragraphs = this.text.split('\n').map((para) =>
+            para.split(' ').filter((word) => word.length > 0).map((word) =>
+                ({text: word, w: this._measureText(word, this.font, ctx).w})));
+
+        this._minTextW = 0;
+        this._natTextW = 0;
+        for (let para of this._paragraphs) {
+            let paraW = 0;
+            for (let word of para) {
+                this._minTextW = Math.max(this._minTextW, word.w);
+                paraW += (paraW > 0 ? this._spaceW : 0) + word.w;
+            }
+            this._natTextW = Math.max(this._natTextW, paraW);
+        }
+
+        this._setSizeConfigs();
+        this._h = this._hConfig.nat;
+        this.invalidateLayout();
+        this.damageAll();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Set our size configurations from our measured text: our width ranges from our
+    // longest word to our unwrapped text, and our height is fixed at what we need at
+    // our current width
+    protected _setSizeConfigs() : void {
+        const padW = 2 * this.padding.w;
+        this._wConfig = {min: this._minTextW + padW, nat: this._natTextW + padW,
+                         max: this._natTextW + padW};
+        this._hConfig = this.heightForWidth(this.w);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the size configuration for this object.  Our configurations are determined
+    // by our text (see _setSizeConfigs()) rather than our current size.
+    protected override _doLocalSizing() : void {
+        this._setSizeConfigs();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Return the height configuration we would have if given the proposed width:
+    // fixed at the height of the lines our text wraps into at that width (plus our
+    // padding)
+    public override heightForWidth(proposedW : number) : SizeConfigLiteral {
+        const lines = this._breakLines(proposedW - 2 * this.padding.w);
+        return SizeConfig.fixed(lines.length * this.linePitch + 2 * this.padding.h);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Position of the top of our first line according to our vertical alignment
+    protected override _textTop() : number {
+        const blockH = this._breakLines(this.w - 2 * this.padding.w).length * this.linePitch;
+        switch (this.vAlign) {
+            case 'top':    return this.padding.h;
+            case 'center': 
+                return this.padding.h + (this.h - 2 * this.padding.h - blockH) / 2;
+            case 'bottom': return this.h - this.padding.h - blockH;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Break our text into lines which fit (where possible) within the given width.
+    // Each paragraph starts a new line, and words are placed on the current line
+    // as long as they fit.
+    protected _breakLines(availW : number) : string[] {
+        const result : string[] = [];
+        for (let para of this._paragraphs) {
+            let line = '';
+            let lineW = 0;
+            for (let word of para) {
+                if (line === '') {
+                    line = word.text;
+                    lineW = word.w;
+                } else if (lineW + this._spaceW + word.w <= availW) {
+                    line += ' ' + word.text;
+                    lineW += this._spaceW + word.w;
+                } else {
+                    result.push(line);
+                    line = word.text;
+                    lineW = word.w;
+                }
+            }
+            result.push(line);
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Method to draw this object.  Our text is wrapped at our current width, and
+    // only the lines within the area being drawn are drawn.  As with TextObject, we
+    // only handle left-to-right alphabetic (Latin) baseline text properly.
+    protected override _drawSelfOnly(ctx: DrawContext): void {
+        ctx.save();
+        try {
+            // work out the color in string form
+            let clr : string;
+            if (typeof this.color === 'number') {
+                clr = '#' + ('000000' + this.color.toString(16)).slice(-6);
+            } else {
+                clr = this.color.toString();
+            }
+            ctx.font = this.font;
+            ctx.fillStyle = clr;
+            ctx.strokeStyle = clr;
+            ctx.textBaseline = 'alphabetic';
+            ctx.textAlign = 'left';
+
+            const pitch = this.linePitch;
+            const area = this._drawArea ?? {x:0, y:0, w:this.w, h:this.h};
+            const lines = this._breakLines(this.w - 2 * this.padding.w);
+            const blockTop = this._textTop();
+            for (let i = 0; i < lines.length; i++) {
+                const top = blockTop + i * pitch;
+                if (top > area.y + area.h || top + pitch < area.y) continue;
+
+                const baseY = top + (pitch - this._textH) / 2 + this._baseln;
+                const left = this._textLeft(this._measureText(lines[i], this.font, ctx).w);
+                if (this.renderType === 'fill') {
+                    ctx.fillText(lines[i], left, baseY);
+                } else {
+                    ctx.strokeText(lines[i], left, baseY);
+                }
+            }
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end of MultilineTextObject class
+
+//===================================================================
+
+export class MultilineTextObject_debug extends MultilineTextObject {
+    public constructor(
+        x          : number,
+        y          : number,
+        text       : string = "",
+        font       : string = TextObject.DEFAULT_FONT,
+        padding    : SizeLiteral | number = 0,
+        color      : string | number = 'black',
+        renderType : RenderOp = 'fill',
+        lineHeight : number = 1)
+    {
+        super(x,y,text,font,padding,color,renderType,lineHeight);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // color we draw the background in
+    public debugColor : string = 'silver';
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Fill our extent behind the normal text output
+    protected override _drawSelfOnly(ctx: DrawContext): void {
+        ctx.save();
+        try {
+            ctx.fillStyle = this.debugColor;
+            ctx.fillRect(0,0,this.w,this.h);
+        } finally {
+            ctx.restore();
+        }
+        super._drawSelfOnly(ctx);
+    }
+} // end of MultilineTextObject_debug class
+
+//===================================================================
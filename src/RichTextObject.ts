@@ -0,0 +1,457 @@
+import { DrawContext, SizeLiteral, RenderOp } from "./Util.js";
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
+import { TextObject } from "./TextObject.js";
+import { FontWatcher } from "./FontWatcher.js";
+
+//===================================================================
+// A run of text drawn with one style.  Any style property which is not given is
+// taken from the RichTextObject the span is in (or its default).
+export type TextSpan = {
+    text            : string,
+    font?           : string,            // CSS font specification string
+    color?          : string | number,   // (as for TextObject)
+    renderType?     : RenderOp,
+    underline?      : boolean,
+    strikethrough?  : boolean
+};
+
+// A measured piece of a span: a word (or part of one), a run of spaces, or a newline,
+// along with its width and the extent of its font above and below the baseline
+type TextPiece = {
+    text : string, span : TextSpan, kind : 'word' | 'space' | 'newline',
+    w : number, ascent : number, descent : number
+};
+
+// A word (which may be made up of pieces from several spans) along with the spaces
+// before it, or an explicit newline
+type TextItem = {space : TextPiece[], spaceW : number, word : TextPiece[], wordW : number} |
+                'newline';
+
+// One line of laid out text: its pieces (with their horizontal positions), its width,
+// and its extent above and below its baseline
+type TextLine = {
+    pieces : {piece : TextPiece, x : number}[], w : number,
+    ascent : number, descent : number
+};
+
+//===================================================================
+// Object that displays text made up of a list of spans, each of which can have its
+// own font, color, render type, and underline or strikethrough decoration.  All the
+// spans on a line are drawn on a shared baseline, placed so that the tallest font on
+// the line fits.
+//
+// As with MultilineTextObject, explicit newlines always start a new line, and
+// otherwise the text is wrapped at spaces (word boundaries, which may fall inside
+// a span) so that each line fits within our width.  For layout, our width can range
+// from the width of our longest word (our min) to the width of the text with no
+// wrapping (our natural size and max), and our height depends on our width (see
+// heightForWidth()).  Padding is placed on both sides horizontally (padding.w) and
+// vertically (padding.h).
+//
+// As with TextObject, if any of our fonts are still loading when our text is 
+// measured, we are re-measured (and redrawn) once they arrive (see FontWatcher).
+//===================================================================
+export class RichTextObject extends DrawnObjectBase {
+
+    public constructor(
+        x           : number,
+        y           : number,
+        spans       : TextSpan[] = [],
+        font        : string = TextObject.DEFAULT_FONT,  // default for spans
+        padding     : SizeLiteral | number = 0,
+        color       : string | number = 'black')         // default for spans
+    {
+        super(x,y);
+        this._spans = spans.map((span) => ({...span}));
+        this._font = font;
+        if (typeof padding === 'number') padding = {w:padding, h:padding};
+        this._padding = padding;
+        this._color = color;
+
+        // measure our text, then start out at our natural (unwrapped) size
+        this._recalcSize();
+        this._w = this._wConfig.nat;
+        this._setSizeConfigs();
+        this._h = this._hConfig.nat;
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The spans making up our text
+    protected _spans : TextSpan[];
+    public get spans() : readonly TextSpan[] {return this._spans;}
+    public set spans(v : readonly TextSpan[]) {
+        this._spans = v.map((span) => ({...span}));
+        this._recalcSize();
+        this.damageAll();
+    }
+
+    // Our text without any styling
+    public get text() : string {return this._spans.map((span) => span.text).join('');}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Font used for spans which don't give their own (see TextObject.font)
+    protected _font : string;
+    public get font() : string {return this._font;}
+    public set font(v : string) {
+        if (!(v === this._font)) {
+            this._font = v;
+            this._recalcSize();
+            this.damageAll();
+        }
+    }
+
+    // Color used for spans which don't give their own (see TextObject.color)
+    protected _color : string | number;
+    public get color() : string | number {return this._color;}
+    public set color(v : string | number) {
+        if (!(v === this._color)) {
+            this._color = v;
+            this.damageAll();
+        }
+    }
+
+    // Extra space placed around the text (as for TextObject)
+    protected _padding : SizeLiteral;
+    public get padding() : SizeLiteral {return this._padding;}
+    public set padding(v : SizeLiteral | number) {
+        if (typeof v === 'number') v = {w:v, h:v};
+        if (!(v.w === this._padding.w && v.h === this._padding.h)) {
+            this._padding = v;
+            this._recalcSize();
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our text broken into measured words (with the spaces before them) and newlines
+    protected _items : TextItem[] = [];
+
+    // Extent above and below the baseline of our default font (used for empty lines)
+    protected _defaultAscent : number = 0;
+    protected _defaultDescent : number = 0;
+
+    // The width of our longest word, and the width of our text with no wrapping
+    protected _minTextW : number = 0;
+    protected _natTextW : number = 0;
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our height always depends on our width (which determines how our text wraps)
+    public override get heightDependsOnWidth() : boolean {return true;}
+
+    // Distance from the top of this object to the baseline of our first line
+    public override get baseline() : number {
+        const lines = this._breakLines(this.w - 2 * this._padding.w);
+        return this._padding.h + lines[0].ascent;
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Recalculate our size configuration based on our spans: measure them (as pieces
+    // which are grouped into words), then work out the width of our longest word and
+    // our unwrapped text.  Our height configuration (and height) are set for our
+    // current width.
+    protected _recalcSize(ctx? : DrawContext) : void {
+        const dflt = this._measureText(' ', this._font, ctx);
+        // (while detached, _setParent() starts the watch when we are attached)
+        if (this.parent) FontWatcher.watch(this, this._fontsUsed());
+        this._defaultAscent = dflt.baseln;
+        this._defaultDescent = dflt.h - dflt.baseln;
+
+        this._items = this._makeItems(this._measurePieces(ctx));
+
+        this._minTextW = 0;
+        this._natTextW = 0;
+        let paraW = 0;
+        for (let item of this._items) {
+            if (item === 'newline') {
+                paraW = 0;
+                continue;
+            }
+            this._minTextW = Math.max(this._minTextW, item.wordW);
+            paraW += (paraW > 0 ? item.spaceW : 0) + item.wordW;
+            this._natTextW = Math.max(this._natTextW, paraW);
+        }
+
+        this._setSizeConfigs();
+        this._h = this._hConfig.nat;
+        this.invalidateLayout();
+        this.damageAll();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The fonts we use (which are registered with FontWatcher)
+    protected _fontsUsed() : string[] {
+        return [this._font, ...this._spans.map((span) => span.font ?? this._font)];
+    }
+
+    // Override so we stop waiting on fonts when we are removed from the tree (and
+    // start again if we are put back), as TextObject does
+    protected override _setParent(newParent : DrawnObjectBase | undefined) : void {
+        super._setParent(newParent);
+        if (newParent) {
+            FontWatcher.watch(this, this._fontsUsed());
+        } else {
+            FontWatcher.unwatch(this);
+        }
+    }
+
+    // Respond to a font we use finishing loading (see FontWatcher) by re-measuring
+    // our text, then asking our TopObject for an extra redraw (as TextObject does)
+    public fontLoaded() : void {
+        this._recalcSize();
+        this.damageAll();
+        this._findTop()?.asynchnousLoadDamage();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Split each of our spans into words, runs of spaces, and newlines, and measure
+    // each of those pieces in the span's font
+    protected _measurePieces(ctx? : DrawContext) : TextPiece[] {
+        const result : TextPiece[] = [];
+        for (let span of this._spans) {
+            const font = span.font ?? this._font;
+            for (let text of span.text.split(/( +|\n)/)) {
+                if (text.length === 0) continue;
+                const meas = this._measureText(text, font, ctx);
+                const kind = (text === '\n') ? 'newline' :
+                             (text[0] === ' ') ? 'space' : 'word';
+                result.push({text, span, kind, w: (kind === 'newline') ? 0 : meas.w,
+                             ascent: meas.baseln, descent: meas.h - meas.baseln});
+            }
+        }
+        return result;
+    }
+
+    // Group measured pieces into words (consecutive word pieces, which may come from
+    // different spans) along with the spaces before them, and newlines
+    protected _makeItems(pieces : TextPiece[]) : TextItem[] {
+        const result : TextItem[] = [];
+        let space : TextPiece[] = [];
+        let word : TextPiece[] = [];
+        const endWord = () => {
+            if (word.length === 0) return;
+            result.push({space, spaceW: space.reduce((sum, p) => sum + p.w, 0),
+                         word,  wordW:  word.reduce((sum, p) => sum + p.w, 0)});
+            space = [];
+            word = [];
+        };
+
+        for (let piece of pieces) {
+            if (piece.kind === 'word') {
+                word.push(piece);
+            } else {
+                endWord();
+                if (piece.kind === 'space') {
+                    space.push(piece);
+                } else {
+                    result.push('newline');
+                    space = [];
+                }
+            }
+        }
+        endWord();
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Set our size configurations from our measured text: our width ranges from our
+    // longest word to our unwrapped text, and our height is fixed at what we need at
+    // our current width
+    protected _setSizeConfigs() : void {
+        const padW = 2 * this._padding.w;
+        this._wConfig = {min: this._minTextW + padW, nat: this._natTextW + padW,
+                         max: this._natTextW + padW};
+        this._hConfig = this.heightForWidth(this.w);
+    }
+
+    // Do the size configuration for this object.  Our configurations are determined
+    // by our text (see _setSizeConfigs()) rather than our current size.
+    protected override _doLocalSizing() : void {
+        this._setSizeConfigs();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Return the height configuration we would have if given the proposed width:
+    // fixed at the height of the lines our text wraps into at that width (plus our
+    // padding)
+    public override heightForWidth(proposedW : number) : SizeConfigLiteral {
+        let h = 2 * this._padding.h;
+        for (let line of this._breakLines(proposedW - 2 * this._padding.w)) {
+            h += line.ascent + line.descent;
+        }
+        return SizeConfig.fixed(h);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Break our text into lines which fit (where possible) within the given width.
+    // Newlines always start a new line, and words are placed on the current line
+    // as long as they fit (the spaces before a word which starts a line are dropped).
+    // There is always at least one line.
+    protected _breakLines(availW : number) : TextLine[] {
+        const newLine = () : TextLine => ({pieces: [], w: 0, ascent: 0, descent: 0});
+        const result : TextLine[] = [];
+        let line = newLine();
+        const endLine = () => {
+            if (line.pieces.length === 0) {
+                line.ascent = this._defaultAscent;
+                line.descent = this._defaultDescent;
+            }
+            result.push(line);
+            line = newLine();
+        };
+        const place = (pieces : TextPiece[]) => {
+            for (let piece of pieces) {
+                line.pieces.push({piece, x: line.w});
+                line.w += piece.w;
+                line.ascent = Math.max(line.ascent, piece.ascent);
+                line.descent = Math.max(line.descent, piece.descent);
+            }
+        };
+
+        for (let item of this._items) {
+            if (item === 'newline') {
+                endLine();
+            } else if (line.pieces.length === 0) {
+                place(item.word);
+            } else if (line.w + item.spaceW + item.wordW <= availW) {
+                place(item.space);
+                place(item.word);
+            } else {
+                endLine();
+                place(item.word);
+            }
+        }
+        endLine();
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Convert one of our color values into a string usable as a canvas style
+    protected _colorString(v : string | number) : string {
+        if (typeof v === 'number') return '#' + ('000000' + v.toString(16)).slice(-6);
+        return v.toString();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Method to draw this object.  Our text is wrapped at our current width, and only
+    // the lines within the area being drawn are drawn.  Each piece of text is drawn in
+    // the style of its span, on the baseline of its line, along with any decoration.
+    // As with TextObject, we only handle left-to-right alphabetic (Latin) baseline
+    // text properly.
+    protected override _drawSelfOnly(ctx: DrawContext): void {
+        ctx.save();
+        try {
+            ctx.textBaseline = 'alphabetic';
+            ctx.textAlign = 'left';
+
+            const area = this._drawArea ?? {x:0, y:0, w:this.w, h:this.h};
+            let top = this._padding.h;
+            for (let line of this._breakLines(this.w - 2 * this._padding.w)) {
+                const lineH = line.ascent + line.descent;
+                if (top <= area.y + area.h && top + lineH >= area.y) {
+                    const baseY = top + line.ascent;
+                    for (let {piece, x} of line.pieces) {
+                        this._drawPiece(ctx, piece, this._padding.w + x, baseY);
+                    }
+                }
+                top += lineH;
+            }
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    // Draw one piece of text (with its decorations) with its left end at the given
+    // position on the given baseline
+    protected _drawPiece(ctx : DrawContext, piece : TextPiece,
+                         x : number, baseY : number) : void
+    {
+        const span = piece.span;
+        const clr = this._colorString(span.color ?? this._color);
+        ctx.font = span.font ?? this._font;
+        ctx.fillStyle = clr;
+        ctx.strokeStyle = clr;
+
+        if (piece.kind === 'word') {
+            if ((span.renderType ?? 'fill') === 'fill') {
+                ctx.fillText(piece.text, x, baseY);
+            } else {
+                ctx.strokeText(piece.text, x, baseY);
+            }
+        }
+
+        // decorations are drawn as thin filled rectangles: an underline a little
+        // below the baseline, and a strikethrough about a third of the way up the
+        // text (both of which also cover spaces within the span)
+        const thickness = Math.max(1, (piece.ascent + piece.descent) / 16);
+        if (span.underline) {
+            ctx.fillRect(x, baseY + thickness, piece.w, thickness);
+        }
+        if (span.strikethrough) {
+            ctx.fillRect(x, baseY - piece.ascent / 3, piece.w, thickness);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce a human readable "tag" string for this object (including a few
+    // characters of the text, as for TextObject)
+    public override tagString() : string {
+        const TXT_TAG_LEN = 4;
+        return this.constructor.name + '<' + this.debugID +
+               ':"' + this.text.substring(0,TXT_TAG_LEN) + '"' +'>';
+    }
+
+} // end of RichTextObject class
+
+//===================================================================
+
+export class RichTextObject_debug extends RichTextObject {
+    public constructor(
+        x           : number,
+        y           : number,
+        spans       : TextSpan[] = [],
+        font        : string = TextObject.DEFAULT_FONT,
+        padding     : SizeLiteral | number = 0,
+        color       : string | number = 'black')
+    {
+        super(x,y,spans,font,padding,color);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // color we draw the background in
+    public debugColor : string = 'silver';
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Fill our extent behind the normal text output
+    protected override _drawSelfOnly(ctx: DrawContext): void {
+        ctx.save();
+        try {
+            ctx.fillStyle = this.debugColor;
+            ctx.fillRect(0,0,this.w,this.h);
+        } finally {
+            ctx.restore();
+        }
+        super._drawSelfOnly(ctx);
+    }
+} // end of RichTextObject_debug class
+
+//===================================================================
@@ -1,6 +1,7 @@
 
-import { SizeConfig } from "./SizeConfig.js";
-import { DrawContext, HJust } from "./Util.js";
+import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
+import { DrawContext, RowJust, ExpandPolicy } from "./Util.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
 import { Group } from "./Group.js";
 import { Spring } from "./Spring.js";
 
@@ -19,8 +20,10 @@ import { Spring } from "./Spring.js";
 //
 // Children are sized in width using springs and struts layout rules.  In height
 // they are set to their natural size.  Children are positioned to be stacked
-// horizontall.  Vertically they are top, center, or bottom justified
-// (as controlled by the hJustification property of this object).
+// horizontall.  Vertically they are top, center, or bottom justified, 
+// stretched to the height of the row within the limits of their height 
+// configuration, or aligned so their baselines fall on a common line (as
+// controlled by the hJustification property of this object).
 //===================================================================
 export class Row extends Group { 
 
@@ -46,15 +49,48 @@ export class Row extends Group {
     //-------------------------------------------------------------------
 
     // How are objects positioned vertically along the height of the column
-    protected _hJustification : HJust = 'top';
+    protected _hJustification : RowJust = 'top';
     public get hJustification() {return this._hJustification;}
-    public set hJustification(v : HJust) {
+    public set hJustification(v : RowJust) {
         if (!(v === this._hJustification)) {
             this._hJustification = v;
+            this.invalidateLayout();
             this.damageAll();  // we have damaged our layout...
         }
     }
 
+    // How is excess space along the width of the row used.  With 'springs' (the 
+    // default) it is given only to Spring children.  With 'fill', whatever the 
+    // springs can't take (e.g., because there are none) is given to the elastic 
+    // non-spring children, up to their max size.
+    protected _expansionPolicy : ExpandPolicy = 'springs';
+    public get expansionPolicy() {return this._expansionPolicy;}
+    public set expansionPolicy(v : ExpandPolicy) {
+        if (!(v === this._expansionPolicy)) {
+            this._expansionPolicy = v;
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our layout...
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // When our children are aligned on their baselines, our own baseline is the 
+    // common one they are aligned on (so rows of text can be nested in other rows).  
+    // Otherwise we use the default (our bottom edge).
+    protected _rowBaseline : number = 0;
+    public override get baseline() : number {
+        return (this._hJustification === 'baseline') ? this._rowBaseline : super.baseline;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Our height depends on our width whenever the height of any of our children 
+    // depends on theirs (since the widths of our children depend on ours)
+    public override get heightDependsOnWidth() : boolean {
+        return this.children.some((ch) => ch.heightDependsOnWidth);
+    }
+
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
   
     // Override w setter so it enforces fixed size
@@ -65,6 +101,7 @@ export class Row extends Group {
             this.damageAll();
             this._w = v;
             this._wConfig = SizeConfig.fixed(v);
+            this.invalidateLayout();
             // damage at new size
             this.damageAll();
         } 
@@ -89,7 +126,15 @@ export class Row extends Group {
     // natural sizes (the maximum of child naturals).  Finally our max is set to the 
     // minimum of the child maximums.
     //
+    // When our children are aligned on their baselines (hJustification is 'baseline')
+    // our height is instead fixed at what is needed to hold the children at their 
+    // natural sizes when aligned that way (see _baselineExtents()).
+    //
     // Our width is set to the width determined by stacking our children horizontally.
+    //
+    // In all of this each child's margins are added to the child's configuration 
+    // (i.e., to the space it takes up), and our padding is then added to both of 
+    // our configurations.
     protected override _doLocalSizing() : void {
         //=== YOUR CODE HERE ===max};
         // initialize values for loop through childre
@@ -101,50 +146,160 @@ export class Row extends Group {
         let maxH = 0;
 
         for (let child of this.children) {
+            // margins add fixed space around the child
+            const marginW = child.margin.left + child.margin.right;
+            const marginH = child.margin.top + child.margin.bottom;
             // sum up the width configurations of children
-            minW += child.wConfig.min;
-            naturalW += child.wConfig.nat;
-            maxW += child.wConfig.max;
+            minW += child.wConfig.min + marginW;
+            naturalW += child.wConfig.nat + marginW;
+            maxW += child.wConfig.max + marginW;
             // find max value of child height to fit the biggest children
-            minH = Math.max(minH, child.hConfig.min);
-            naturalH = Math.max(naturalH, child.hConfig.nat);
-            maxH = Math.max(maxH, child.hConfig.max);
+            minH = Math.max(minH, child.hConfig.min + marginH);
+            naturalH = Math.max(naturalH, child.hConfig.nat + marginH);
+            maxH = Math.max(maxH, child.hConfig.max + marginH);
         }
 
+        // our padding adds fixed space around all the children
+        const padW = this.padding.left + this.padding.right;
+        const padH = this.padding.top + this.padding.bottom;
+
         // Set configurations based on collected values
-        this._hConfig = new SizeConfig(naturalH, minH, maxH);
-        this._wConfig = new SizeConfig(naturalW,minW, maxW);
-        
+        this._hConfig = new SizeConfig(naturalH + padH, minH + padH, maxH + padH);
+        this._wConfig = new SizeConfig(naturalW + padW, minW + padW, maxW + padW);
+
+        // baseline alignment can need more height than any single child.  our own
+        // baseline is set here too, since a parent row reads it during its sizing
+        // (before our layout is done).
+        if (this._hJustification === 'baseline') {
+            const [above, below] = this._baselineExtents(this.children);
+            this._rowBaseline = this.padding.top + above;
+            this._hConfig = SizeConfig.fixed(above + below + padH);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Measure the given children for alignment along a common baseline.  This 
+    // returns a tuple with the largest distance any child extends above its baseline
+    // and the largest distance any child extends below it (both based on the 
+    // natural height of the child, and including its margins).  Natural heights to
+    // use in place of those in the children's configurations can optionally be given.
+    protected _baselineExtents(kids : readonly DrawnObjectBase[], 
+                               nats? : readonly number[]) : [number, number] 
+    {
+        let above = 0;
+        let below = 0;
+        for (let i = 0; i < kids.length; i++) {
+            const child = kids[i];
+            const nat = nats ? nats[i] : child.hConfig.nat;
+            const base = Math.min(child.baseline, nat);
+            above = Math.max(above, base + child.margin.top);
+            below = Math.max(below, nat - base + child.margin.bottom);
+        }
+        return [above, below];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Return the height configuration we would have if given the proposed width.
+    // This is determined as in _doLocalSizing(), but using the height each child 
+    // would have at the width it would be given (see _childWidthsFor()).  This does
+    // not modify the row (our baseline is only updated by sizing and layout).
+    public override heightForWidth(proposedW : number) : SizeConfigLiteral {
+        const pad = this.padding;
+        const padH = pad.top + pad.bottom;
+        const widths = this._childWidthsFor(proposedW - pad.left - pad.right);
+        const hConfs = this.children.map((ch) => ch.heightForWidth(widths.get(ch) ?? ch.w));
+
+        if (this._hJustification === 'baseline') {
+            const [above, below] = this._baselineExtents(this.children, 
+                                                         hConfs.map((hc) => hc.nat));
+            return SizeConfig.fixed(above + below + padH);
+        }
+
+        let minH = 0;
+        let naturalH = 0;
+        let maxH = 0;
+        for (let i = 0; i < this.children.length; i++) {
+            const m = this.children[i].margin;
+            minH = Math.max(minH, hConfs[i].min + m.top + m.bottom);
+            naturalH = Math.max(naturalH, hConfs[i].nat + m.top + m.bottom);
+            maxH = Math.max(maxH, hConfs[i].max + m.top + m.bottom);
+        }
+        return new SizeConfig(naturalH + padH, minH + padH, maxH + padH);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Compute the widths that _adjustChildren() would give our non-spring children 
+    // if the width available inside our padding were innerW, without modifying the 
+    // children.  This follows the same rules (see _expandChildren() and 
+    // _compressChildren()) and is used for negotiating heights.
+    protected _childWidthsFor(innerW : number) : Map<DrawnObjectBase, number> {
+        const [natSum, availCompr] = this._measureChildren();
+        const springs = this.children.filter((ch) : ch is Spring => ch instanceof Spring);
+        const kids = this.children.filter((ch) => !(ch instanceof Spring));
+        let widths = kids.map((ch) => ch.wConfig.nat);
+
+        const excess = innerW - natSum;
+        if (excess >= 0) {
+            // non-spring children only grow under the 'fill' policy
+            if (this._expansionPolicy === 'fill') {
+                const leftover = (springs.length > 0) ? 
+                    Spring.distributeExcess(springs, excess)[1] : excess;
+                [widths] = SizeConfig.distributeExcess(kids.map((ch) => ch.wConfig), 
+                                                       kids.map(() => 1), leftover);
+            }
+        } else if (availCompr > 0) {
+            // springs give up what they can first, then the other children compress
+            const leftover = (springs.length > 0) ? 
+                Spring.distributeShortfall(springs, -excess)[1] : -excess;
+            const shortfall = Math.min(availCompr, leftover);
+            widths = kids.map((ch) => {
+                const compr = ch.wConfig.nat - ch.wConfig.min;
+                return Math.max(ch.wConfig.min, 
+                                ch.wConfig.nat - (compr / availCompr) * shortfall);
+            });
+        }
+
+        const result = new Map<DrawnObjectBase, number>();
+        for (let i = 0; i < kids.length; i++) result.set(kids[i], widths[i]);
+        return result;
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // This method adjusts the width of the children to do horizontal springs and struts 
     // layout within the row.  If there is excess space beyond the natural size of 
-    // the children, Spring objects are expanded (all by the same amount) to cause 
-    // the layout to fill the height of the column.  Non-spring objects are currently
-    // not stretched (even if there are no springs).  If there is a shortfall in the 
-    // natural size space available we attempt to make up the shortfall by compressing 
-    // child objects. Springs are compressed to 0.  Then non-spring children are 
-    // compressed within the limits set by their configuration (specifically their 
+    // the children, Spring objects are expanded (in proportion to their weights and 
+    // within their limits, see Spring.distributeExcess()) to cause the layout to fill
+    // the width of the row.  Non-spring objects are only stretched when our 
+    // expansionPolicy is 'fill', in which case any excess the springs don't take 
+    // (including all of it when there are no springs) is given to them.  If there 
+    // is a shortfall in the natural size space available we attempt to make up the
+    // shortfall by compressing child objects.  Springs give up space first (in 
+    // proportion to their weights and down to their minExtent, see 
+    // Spring.distributeShortfall()).  Then non-spring children are compressed for 
+    // what remains, within the limits set by their configuration (specifically their
     // wConfig.min value). No child objects are compressed past their configured min
     // (if the shortfall can't be made up, later clipping will occur at the right).
     protected _adjustChildren() {
         // get measurements from our children
         const [natSum, availCompr, numSprings] = this._measureChildren();
 
-        // given space allocation from our parent, determine how much horizontal excess 
-        // we have in comparison to our children's natural sizes 
-        let excess = this.w - natSum;
+        // given space allocation from our parent (less our padding), determine how much 
+        // horizontal excess we have in comparison to our children's natural sizes 
+        let excess = this.w - this.padding.left - this.padding.right - natSum;
 
         // handle positive excess and negative excess (AKA shortfall) as separate cases
         if (excess >= 0) {
-            this._expandChildSprings(excess, numSprings);
+            const leftover = this._expandChildSprings(excess, numSprings);
+
+            // if our policy says so, give what the springs didn't take to other children
+            if (this._expansionPolicy === 'fill') this._expandChildren(leftover);
         } else { // negative excess (AKA shortfall) case
-            // zero out the size of all the springs
-            for (let child of this.children) {
-                if (child instanceof Spring) child.w = 0;
-            }
+            // take what we can out of the springs (by weight, within their limits)
+            let shortfall = this._compressChildSprings(-excess, numSprings);
 
             // if we have no compressability we are done
             // (we will end up clipping at the right as a fallback strategy)
@@ -152,7 +307,6 @@ export class Row extends Group {
             
             // don't try to make up more shortfall than we have available ompressability.  
             // (any remander will force a clip at the right)
-            let shortfall = -excess; 
             shortfall = Math.min(availCompr, shortfall);
 
             // compress the child sizes to make up the shortfall
@@ -164,14 +318,16 @@ export class Row extends Group {
 
     // Measure aspects of the children in preparation for adjusting sizes.  This 
     // returns an tuple  with the following computed values (all numbers):
-    //   * natSum      The sum of natural sizes of the non-spring children
+    //   * natSum      The sum of natural sizes of the non-spring children along with 
+    //                 the natExtent of the springs and the margins of all children
     //   * availCompr  The total compression available across the non-spring children
     //                 Compression for a single child is the difference between their
     //                 natural and minimum sizes (nat-min).
     //   * numSprings  The number of springs among the child objects.
     protected _measureChildren() : [number, number, number] {
         // walk across the children and measure the following:
-        // - sum up the natural size of all our non-spring children
+        // - sum up the natural size of all our non-spring children (and the 
+        //   natural extent of the springs)
         // - how much non-spring objects can compress (nat-min) total
         // - how many springs we have
         let natSum = 0;  
@@ -181,9 +337,13 @@ export class Row extends Group {
         //=== YOUR CODE HERE ===
         // iterate through all children
         for (let child of this.children) {
+            // margins take up fixed space along with every child
+            natSum += child.margin.left + child.margin.right;
+
             // if the child is a spring, accumulate spring count - how many springs we have
             if (child instanceof Spring) {
                 numSprings += 1;
+                natSum += child.natExtent;
             }else{
                 // sum up the natural size of all our non-spring children
                 natSum += child.naturalW;
@@ -200,32 +360,70 @@ export class Row extends Group {
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // Expand  our child springs to add space in total equal to the given amount of
-    // excess space. Expansion space is allocated evenly among the springs. If there 
-    // are no child springs, this does nothing (which has the eventual effect of leaving 
-    // the space at the right of the row as a fallback strategy).
-    protected _expandChildSprings(excess : number, numSprings : number) : void {
-        //=== YOUR CODE HERE ===
-        // if tehre's no springs, no expansion for spring
-        if (numSprings == 0) {
-            return;
+    // excess space. Expansion space is allocated among the springs in proportion to
+    // their weights, with springs that reach their maxExtent held there and the rest 
+    // of the space redistributed to the others (see Spring.distributeExcess()). If 
+    // there are no child springs (or they can't take all the space), the remainder 
+    // is returned (and by default ends up at the right of the row as a fallback 
+    // strategy).
+    protected _expandChildSprings(excess : number, numSprings : number) : number {
+        // if there's no springs, no expansion for spring
+        if (numSprings === 0) return excess;
+
+        // divide the excess among the springs and assign their resulting sizes
+        const springs : Spring[] = [];
+        for (let child of this.children) {
+            if (child instanceof Spring) springs.push(child);
         }
-        // calculate average excess space assigned for each spring
-        let eachExcess = excess / numSprings;
+        const [sizes, leftover] = Spring.distributeExcess(springs, excess);
+        for (let i = 0; i < springs.length; i++) springs[i].w = sizes[i];
+        return leftover;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Compress our child springs to make up as much as they can of the given amount 
+    // of shortfall.  Each spring gives up space in proportion to its weight, with 
+    // springs that reach their minExtent held there and the rest of the shortfall
+    // taken from the others (see Spring.distributeShortfall()).  The part of the 
+    // shortfall the springs could not make up is returned.
+    protected _compressChildSprings(shortfall : number, numSprings : number) : number {
+        // if there's no springs, they can't make up any of it
+        if (numSprings === 0) return shortfall;
+
+        // take the shortfall out of the springs and assign their resulting sizes
+        const springs : Spring[] = [];
         for (let child of this.children) {
-            // Adjust the space (width) of each spring
-            if (child instanceof Spring) {
-                child.w = eachExcess;
-            }
+            if (child instanceof Spring) springs.push(child);
         }
+        const [sizes, leftover] = Spring.distributeShortfall(springs, shortfall);
+        for (let i = 0; i < springs.length; i++) springs[i].w = sizes[i];
+        return leftover;
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Contract our child objects to make up the given amount of shortfall.  Springs
-    // have a zero natural size (which is already assumed in calculating the shortfall),
-    // so we need to make up the shortfall among the other children by 
-    // using space that they can compress (i.e., the difference between their min and
-    // natural sizes).  Each child is compressed by a fraction of the total compression
+    // Expand our non-spring child objects to add space in total equal to the given 
+    // amount of excess space.  Each child starts at its natural size and the excess is
+    // divided evenly among the children that are elastic, but no child is expanded 
+    // past its configured max (with what it could not take going to the others).  
+    // Any excess that can't be allocated ends up at the right of the row.
+    protected _expandChildren(excess : number) : void {
+        const kids : DrawnObjectBase[] = [];
+        for (let child of this.children) {
+            if (!(child instanceof Spring)) kids.push(child);
+        }
+        const [sizes] = SizeConfig.distributeExcess(kids.map((ch) => ch.wConfig), 
+                                                    kids.map(() => 1), excess);
+        for (let i = 0; i < kids.length; i++) kids[i].w = sizes[i];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Contract our non-spring child objects to make up the given amount of shortfall
+    // (what remains after the springs have given up what they can, see 
+    // _compressChildSprings()) by using space that they can compress (i.e., the 
+    // difference between their min and natural sizes).  Each child is compressed by a fraction of the total compression
     // that is equal to its fraction of the available compressability.
     protected _compressChildren(
         shortfall : number,   // amount we need to compress overall
@@ -257,11 +455,13 @@ export class Row extends Group {
     // set our size (or our size was otherwise set). 
     //
     // We use _adjustChidren() to resize the children to match the mandated 
-    // width of this row. Then we position the children stacked horizontally,
+    // width of this row (then negotiate the heights of any children whose height 
+    // depends on their width). Then we position the children stacked horizontally,
     // and justified vertically (based on hJustification).  Any horizontal space
     // excess that _adjustChildren() couldn't allocate to springs will appear at 
     // the left of the stack.  Any horzontal shortfall that couldn't be compressed
-    // out of children will result in clipping at the left.
+    // out of children will result in clipping at the left.  All of this is done 
+    // inside our padding, with each child's margins left around it.
     protected override _completeLocalLayout() : void { 
         // if we have no children we can be done now (and avoid some edge cases)
         if (this.children.length === 0) return;
@@ -269,38 +469,64 @@ export class Row extends Group {
         // set the width of all the children 
         this._adjustChildren();
 
+        // now that child widths are known, negotiate heights that depend on them
+        for (let child of this.children) this._negotiateChildHeight(child, child.w);
+
         // set child heights to their natural heights 
         let hMax : number = 0;
         for (let child of this.children) {
             child.h = child.hConfig.nat;
-            if (child.h > hMax) hMax = child.h;
+            const withMargins = child.h + child.margin.top + child.margin.bottom;
+            if (withMargins > hMax) hMax = withMargins;
         }
         
-        // shrinkwrap: set our height to the height of the tallest child
-        this.h = this.hConfig.nat = hMax;
+        // shrinkwrap: set our height to the height of the tallest child (or for
+        // baseline alignment, the height covering all the children once aligned)
+        // plus our padding
+        const pad = this.padding;
+        if (this._hJustification === 'baseline') {
+            const [above, below] = this._baselineExtents(this.children);
+            this._rowBaseline = pad.top + above;
+            hMax = above + below;
+        }
+        this.h = this.hConfig.nat = hMax + pad.top + pad.bottom;
+
+        // height available to the children inside our padding
+        const innerH = this.h - pad.top - pad.bottom;
 
         // stack up the children in the horizontal
-        let xpos : number = 0;
+        let xpos : number = pad.left;
         for (let child of this.children) {
-            child.x = xpos;
-            xpos += child.w;
+            const m = child.margin;
+            child.x = xpos + m.left;
+            xpos += m.left + child.w + m.right;
             // apply our justification setting for the vertical
 
             //=== YOUR CODE HERE ===
             switch (this._hJustification) {
-                // if top, we start from y = 0 position
+                // if top, we start from the top (inside padding and margin)
                 case 'top':
-                    child.y = 0;
+                    child.y = pad.top + m.top;
                     break;
                 case 'center':
-                    child.y = this.h / 2 - child.h / 2;
+                    child.y = pad.top + m.top + (innerH - m.top - m.bottom) / 2 - child.h / 2;
                     break;
                 // if at bottom, remember to include the height of the child
                 case 'bottom':
-                    child.y = this.h - child.h;
+                    child.y = pad.top + innerH - m.bottom - child.h;
+                    break;
+                // if stretching, size the child to our height (within its limits)
+                case 'stretch':
+                    child.h = SizeConfig.withinConfig(innerH - m.top - m.bottom, 
+                                                      child.hConfig);
+                    child.y = pad.top + m.top;
+                    break;
+                // if on baseline, line up the child's baseline with the common one
+                case 'baseline':
+                    child.y = this._rowBaseline - child.baseline;
                     break;
                 default:
-                    child.y = 0;
+                    child.y = pad.top + m.top;
             }
         }
         // this.damageAll()
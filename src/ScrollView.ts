@@ -0,0 +1,294 @@
+import { SizeConfig } from "./SizeConfig.js";
+import { DrawContext, PointLiteral, RectLiteral, intersectRects } from "./Util.js";
+import { DrawnObjectBase } from "./DrawnObjectBase.js";
+import { Group } from "./Group.js";
+
+//===================================================================
+// A container which provides a scrollable viewport onto children which may be
+// larger than it is.  The children (the "content") are drawn translated by
+// (-scrollX, -scrollY) and clipped to the area inside our padding, so changing
+// the scroll offsets changes which part of the content can be seen.  Damage
+// reported by the content is translated the same way before being passed up.
+//
+// During layout each child is given at least the size of the viewport (and
+// otherwise its natural size), within the limits of its size configuration.  The
+// extent of the content is the furthest right and bottom of any child (including
+// margins), and the scroll offsets are always clamped so that we never scroll past
+// the content (or before its start).
+//
+// When showScrollbars is true (the default), a simple scrollbar is drawn over the
+// content along the bottom and/or right edge whenever the content overflows the
+// viewport along that axis.
+//
+// Like Group, this object does not change its own size based on its children.
+//===================================================================
+export class ScrollView extends Group {
+
+    public constructor(
+        x : number = 0,      // x position in parent coordinate system
+        y: number = 0,       // y position in parent coordinate system
+        w: number = 42,      // initial width
+        h: number = 13,      // initial height
+        vis: boolean = true) // initial visibility status
+    {
+        super(x,y,w,h,vis);
+    }
+
+    //-------------------------------------------------------------------
+    // Constants
+    //-------------------------------------------------------------------
+
+    // Thickness of drawn scrollbars
+    public static readonly SCROLLBAR_SIZE = 6;
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Horizontal scroll offset: how far the content is moved to the left
+    protected _scrollX : number = 0;
+    public get scrollX() : number {return this._scrollX;}
+    public set scrollX(v : number) {
+        v = this._clampScroll(v, this.maxScrollX);
+        if (!(v === this._scrollX)) {
+            this._scrollX = v;
+            this.damageAll();
+        }
+    }
+
+    // Vertical scroll offset: how far the content is moved up
+    protected _scrollY : number = 0;
+    public get scrollY() : number {return this._scrollY;}
+    public set scrollY(v : number) {
+        v = this._clampScroll(v, this.maxScrollY);
+        if (!(v === this._scrollY)) {
+            this._scrollY = v;
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Whether scrollbars are drawn (on axes where the content overflows)
+    protected _showScrollbars : boolean = true;
+    public get showScrollbars() : boolean {return this._showScrollbars;}
+    public set showScrollbars(v : boolean) {
+        if (!(v === this._showScrollbars)) {
+            this._showScrollbars = v;
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Width and height of the viewport (the area inside our padding)
+    public get viewW() : number {
+        return Math.max(0, this.w - this.padding.left - this.padding.right);
+    }
+    public get viewH() : number {
+        return Math.max(0, this.h - this.padding.top - this.padding.bottom);
+    }
+
+    // Right and bottom extent of the content (in our coordinates when not scrolled)
+    public get contentRight() : number {
+        let result = 0;
+        for (let child of this.children) {
+            result = Math.max(result, child.x + child.w + child.margin.right);
+        }
+        return result;
+    }
+    public get contentBottom() : number {
+        let result = 0;
+        for (let child of this.children) {
+            result = Math.max(result, child.y + child.h + child.margin.bottom);
+        }
+        return result;
+    }
+
+    // Largest allowed scroll offsets (those which bring the far edge of the content
+    // to the far edge of the viewport)
+    public get maxScrollX() : number {
+        return Math.max(0, this.contentRight - (this.w - this.padding.right));
+    }
+    public get maxScrollY() : number {
+        return Math.max(0, this.contentBottom - (this.h - this.padding.bottom));
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Clamp a scroll offset to the range [0, max]
+    protected _clampScroll(v : number, max : number) : number {
+        return Math.max(0, Math.min(v, max));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Scroll (by the minimum amount) so that the given descendant of this object is
+    // visible within the viewport (or as much of it as fits, favoring its top left).
+    // Returns false if the object is not a descendant of this one.
+    public scrollIntoView(descendant : DrawnObjectBase) : boolean {
+        // find the bounds of the descendant in our (unscrolled) coordinates
+        let bounds : RectLiteral = {x:0, y:0, w:descendant.w, h:descendant.h};
+        let obj : DrawnObjectBase | undefined = descendant;
+        while (obj && obj.parent !== this) {
+            bounds = obj.localRectToParent(bounds);
+            obj = obj.parent;
+        }
+        if (!obj) return false;
+        bounds = obj.localRectToParent(bounds);
+
+        this.scrollX = this._scrollToShow(this._scrollX, this.padding.left, this.viewW,
+                                          bounds.x, bounds.w);
+        this.scrollY = this._scrollToShow(this._scrollY, this.padding.top, this.viewH,
+                                          bounds.y, bounds.h);
+        return true;
+    }
+
+    // New scroll offset along one axis which shows the extent [start, start+size)
+    // in a viewport which starts at viewStart and is viewSize long, given the
+    // current scroll offset
+    protected _scrollToShow(
+        scroll : number, viewStart : number, viewSize : number,
+        start : number, size : number) : number
+    {
+        if (start + size - scroll > viewStart + viewSize) {
+            scroll = start + size - (viewStart + viewSize);
+        }
+        if (start - scroll < viewStart) scroll = start - viewStart;
+        return scroll;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the local portion of the top down pass which sets the final
+    // size and position of the immediate children of this object.  Each child is
+    // sized to fill the viewport, or to its natural size if that is bigger (within
+    // its size configuration).  Children keep their positions.  Once the content is
+    // sized, our scroll offsets are clamped to the new content extent.
+    protected override _completeLocalLayout() : void {
+        for (let child of this.children) {
+            child.w = SizeConfig.withinConfig(Math.max(child.wConfig.nat, this.viewW),
+                                              child.wConfig);
+            child.h = SizeConfig.withinConfig(Math.max(child.hConfig.nat, this.viewH),
+                                              child.hConfig);
+        }
+
+        // we will be redrawn after layout anyway, so no damage is needed here
+        this._scrollX = this._clampScroll(this._scrollX, this.maxScrollX);
+        this._scrollY = this._clampScroll(this._scrollY, this.maxScrollY);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw this object and its children, then any scrollbars over the top
+    public override draw(ctx : DrawContext) : void {
+        if (this.visible) {
+            this._drawSelfOnly(ctx);
+            this._drawChildren(ctx);
+            if (this._showScrollbars) this._drawScrollbars(ctx);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw a scrollbar along our bottom edge if the content is wider than the
+    // viewport, and along our right edge if it is taller.  The thumb of each
+    // scrollbar shows the visible portion of the content.
+    protected _drawScrollbars(ctx : DrawContext) : void {
+        const sz = ScrollView.SCROLLBAR_SIZE;
+        const pad = this.padding;
+        const maxX = this.maxScrollX;
+        const maxY = this.maxScrollY;
+
+        if (maxX > 0) {
+            const trackW = this.viewW;
+            const thumbW = Math.max(sz, trackW * trackW / (trackW + maxX));
+            const thumbX = pad.left + (trackW - thumbW) * this._scrollX / maxX;
+            ctx.fillStyle = 'rgba(0,0,0,0.1)';
+            ctx.fillRect(pad.left, this.h - sz, trackW, sz);
+            ctx.fillStyle = 'rgba(0,0,0,0.4)';
+            ctx.fillRect(thumbX, this.h - sz, thumbW, sz);
+        }
+        if (maxY > 0) {
+            const trackH = this.viewH;
+            const thumbH = Math.max(sz, trackH * trackH / (trackH + maxY));
+            const thumbY = pad.top + (trackH - thumbH) * this._scrollY / maxY;
+            ctx.fillStyle = 'rgba(0,0,0,0.1)';
+            ctx.fillRect(this.w - sz, pad.top, sz, trackH);
+            ctx.fillStyle = 'rgba(0,0,0,0.4)';
+            ctx.fillRect(this.w - sz, thumbY, sz, thumbH);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the setup for drawing the child at the given index.  We clip to the
+    // viewport, then move to the child's coordinate system (offset by our scroll
+    // position) and clip to the child's bounding box.
+    protected override _startChildDraw(childIndx : number, ctx : DrawContext) {
+        ctx.save();
+        const pad = this.padding;
+        this.applyClip(ctx, pad.left, pad.top, this.viewW, this.viewH);
+
+        const child = this.children[childIndx];
+        ctx.translate(-this._scrollX, -this._scrollY);
+        child.applyTransform(ctx);
+        child.applyCompositing(ctx);
+        const vis = child.visualBounds;
+        this.applyClip(ctx, vis.x, vis.y, vis.w, vis.h);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Determine the area of the given child which needs to be drawn.  This matches
+    // _startChildDraw(): the child is offset by our scroll position and only the 
+    // part of it within our viewport is drawn.
+    protected override _childDrawArea(child : DrawnObjectBase) : RectLiteral | undefined {
+        const pad = this.padding;
+        const view = intersectRects(this._drawArea ?? {x:0, y:0, w:this.w, h:this.h},
+                                    {x:pad.left, y:pad.top, w:this.viewW, h:this.viewH});
+        if (!view) return undefined;
+
+        // express the visible area in (unscrolled) content coordinates 
+        return child.parentAreaToLocal({x: view.x + this._scrollX, y: view.y + this._scrollY,
+                                        w: view.w, h: view.h});
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Receive a damage report from the given child object.  The content is drawn
+    // offset by our scroll position, so once the damage is converted to our 
+    // coordinates it is offset the same way before being passed up the tree.
+    protected override _damageFromChild(child : DrawnObjectBase,
+                                        xInChildCoords : number, yInChildCoords : number,
+                                        wv : number, hv : number) : void
+    {
+        const local = child.localRectToParent(
+                            {x:xInChildCoords, y:yInChildCoords, w:wv, h:hv});
+        this.damageArea(local.x - this._scrollX, local.y - this._scrollY, 
+                        local.w, local.h);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Find the top-most visible child containing the given point (in our 
+    // coordinates).  This matches _startChildDraw(): the point is offset by our 
+    // scroll position before looking in the content, and points outside our 
+    // viewport (where the content is clipped away) don't find any child.
+    public override pickChild(pt : PointLiteral) : DrawnObjectBase | undefined {
+        const pad = this.padding;
+        if (pt.x < pad.left || pt.x > pad.left + this.viewW || 
+            pt.y < pad.top  || pt.y > pad.top + this.viewH) 
+        {
+            return undefined;
+        }
+        return super.pickChild({x: pt.x + this._scrollX, y: pt.y + this._scrollY});
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+}
+
+//===================================================================
@@ -192,6 +192,106 @@ export class SizeConfig {
         if (val > config.max) val = config.max;
         return val;
     } 
+
+   //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Divide the given amount of excess space among a set of items, each described 
+    // by a size configuration and a weight.  Each item starts at its natural size and
+    // receives a share of the excess in proportion to its weight.  Any item whose 
+    // share would take it past its max is held at its max, and what it could not take 
+    // is redistributed among the other items (again by weight).  This returns a tuple 
+    // with a list of resulting sizes (parallel to the configurations given) and the 
+    // amount of excess that could not be allocated (because all the items reached 
+    // their max or had zero weight).
+    public static distributeExcess(configs : readonly SizeConfigLiteral[],
+                                   weights : readonly number[],
+                                   excess  : number) : [number[], number]
+    {
+        const sizes : number[] = configs.map((conf) => conf.nat);
+        let active : number[] = configs.map((conf, indx) => indx);
+        let remaining = excess;
+
+        while (remaining > 0 && active.length > 0) {
+            let totalWeight = 0;
+            for (let i of active) totalWeight += weights[i];
+            if (totalWeight <= 0) break;
+
+            // clamp any items that would pass their max with their share
+            const stillActive : number[] = [];
+            let clampedAmt = 0;
+            for (let i of active) {
+                const share = remaining * weights[i] / totalWeight;
+                if (sizes[i] + share >= configs[i].max) {
+                    clampedAmt += configs[i].max - sizes[i];
+                    sizes[i] = configs[i].max;
+                } else {
+                    stillActive.push(i);
+                }
+            }
+
+            if (stillActive.length === active.length) {
+                // nobody hit a limit, so hand out the shares and we are done
+                for (let i of active) sizes[i] += remaining * weights[i] / totalWeight;
+                remaining = 0;
+            } else {
+                // go around again dividing what's left among the remaining items
+                remaining -= clampedAmt;
+                active = stillActive;
+            }
+        }
+
+        return [sizes, Math.max(0, remaining)];
+    }
+
+   //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Take the given amount of shortfall out of a set of items, each described by a
+    // size configuration and a weight (the reverse of distributeExcess()).  Each item
+    // starts at its natural size and gives up a share of the shortfall in proportion 
+    // to its weight.  Any item whose share would take it below its min is held at its
+    // min, and what it could not give up is redistributed among the other items 
+    // (again by weight).  This returns a tuple with a list of resulting sizes 
+    // (parallel to the configurations given) and the amount of shortfall that could 
+    // not be made up (because all the items reached their min or had zero weight).
+    public static distributeShortfall(configs   : readonly SizeConfigLiteral[],
+                                      weights   : readonly number[],
+                                      shortfall : number) : [number[], number]
+    {
+        const sizes : number[] = configs.map((conf) => conf.nat);
+        let active : number[] = configs.map((conf, indx) => indx);
+        let remaining = shortfall;
+
+        while (remaining > 0 && active.length > 0) {
+            let totalWeight = 0;
+            for (let i of active) totalWeight += weights[i];
+            if (totalWeight <= 0) break;
+
+            // clamp any items that would pass their min with their share
+            const stillActive : number[] = [];
+            let clampedAmt = 0;
+            for (let i of active) {
+                const share = remaining * weights[i] / totalWeight;
+                if (sizes[i] - share <= configs[i].min) {
+                    clampedAmt += sizes[i] - configs[i].min;
+                    sizes[i] = configs[i].min;
+                } else {
+                    stillActive.push(i);
+                }
+            }
+
+            if (stillActive.length === active.length) {
+                // nobody hit a limit, so take the shares and we are done
+                for (let i of active) sizes[i] -= remaining * weights[i] / totalWeight;
+                remaining = 0;
+            } else {
+                // go around again dividing what's left among the remaining items
+                remaining -= clampedAmt;
+                active = stillActive;
+            }
+        }
+
+        return [sizes, Math.max(0, remaining)];
+    }
 } // end class SizeConfig
 
 //===================================================================
\ No newline at end of file
@@ -10,17 +10,108 @@ import { SizeConfig, SizeConfigLiteral } from "./SizeConfig.js";
 // These objects are fairly simple.  They produce no drawing (but a
 // Spring_debug subclass has been provided below to provide a debugging
 // display to make these normally invisible objects visible).  Their 
-// behavior is implemented by maintaining a fully stretchable size configuration
-// (min=0 natural=0 max=infinite).
+// behavior is implemented by maintaining a stretchable size configuration.  By 
+// default this is fully stretchable (min=0 natural=0 max=infinite), but a spring 
+// can be limited to a range of sizes with its minExtent and maxExtent properties,
+// and given a preferred size within that range with its natExtent property 
+// (giving min=minExtent natural=natExtent max=maxExtent).  When a row or column has 
+// excess space, that space is divided among its springs in proportion to their 
+// weight properties, with any spring that reaches its maxExtent held there and the 
+// remaining space going to the other springs.  Similarly when it has a shortfall,
+// its springs give up space (down to their minExtent) in proportion to their 
+// weights before any other children are compressed.
 
 export class Spring extends DrawnObjectBase {
-    public constructor() 
+    public constructor(
+        weight : number = 1,                  // share of excess space we get 
+        minExtent : number = 0,               // smallest size we can take on
+        maxExtent : number = SizeConfig.INF,  // largest size we can take on
+        natExtent : number = minExtent)       // size we take on with no excess
     {
         super(0,0,0,0,true); 
 
-        // configure to initially be fully elastic
-        this._wConfig = SizeConfig.elastic(0);
-        this._hConfig = SizeConfig.elastic(0);
+        this._weight = Math.max(0, weight);
+        this._minExtent = Math.max(0, minExtent);
+        this._maxExtent = Math.max(this._minExtent, maxExtent);
+        this._natExtent = Math.min(Math.max(this._minExtent, natExtent), this._maxExtent);
+
+        // configure to initially be elastic within our extents
+        this._wConfig = this._extentConfig();
+        this._hConfig = this._extentConfig();
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Relative weight used to divide excess space (and shortfall) among springs.  A 
+    // spring with weight 2 grows (and shrinks) twice as fast as one with weight 1, and
+    // a spring with weight 0 stays at its natExtent.
+    protected _weight : number = 1;
+    public get weight() : number {return this._weight;}
+    public set weight(v : number) {
+        v = Math.max(0, v);
+        if (!(v === this._weight)) {
+            this._weight = v;
+            this._parent?.invalidateLayout();
+            this.damageAll();  // we have damaged our parent's layout...
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Smallest size this spring will take on.  If this is set above natExtent or 
+    // maxExtent, they are raised to match.
+    protected _minExtent : number = 0;
+    public get minExtent() : number {return this._minExtent;}
+    public set minExtent(v : number) {
+        v = Math.max(0, v);
+        if (!(v === this._minExtent)) {
+            this._minExtent = v;
+            if (this._natExtent < v) this._natExtent = v;
+            if (this._maxExtent < v) this._maxExtent = v;
+            this._wConfig = this._extentConfig();
+            this._hConfig = this._extentConfig();
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our parent's layout...
+        }
+    }
+
+    // Largest size this spring will take on (defaults to "infinite").  If this is 
+    // set below minExtent or natExtent, they are lowered to match.
+    protected _maxExtent : number = SizeConfig.INF;
+    public get maxExtent() : number {return this._maxExtent;}
+    public set maxExtent(v : number) {
+        v = Math.max(0, v);
+        if (!(v === this._maxExtent)) {
+            this._maxExtent = v;
+            if (this._minExtent > v) this._minExtent = v;
+            if (this._natExtent > v) this._natExtent = v;
+            this._wConfig = this._extentConfig();
+            this._hConfig = this._extentConfig();
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our parent's layout...
+        }
+    }
+
+    // Size this spring takes on when there is neither excess space nor a shortfall
+    // (defaults to minExtent).  This is kept between minExtent and maxExtent.
+    protected _natExtent : number = 0;
+    public get natExtent() : number {return this._natExtent;}
+    public set natExtent(v : number) {
+        v = Math.min(Math.max(this._minExtent, v), this._maxExtent);
+        if (!(v === this._natExtent)) {
+            this._natExtent = v;
+            this._wConfig = this._extentConfig();
+            this._hConfig = this._extentConfig();
+            this.invalidateLayout();
+            this.damageAll();  // we have damaged our parent's layout...
+        }
+    }
+
+    // Size configuration corresponding to our extents
+    protected _extentConfig() : SizeConfigLiteral {
+        return {nat: this._natExtent, min: this._minExtent, max: this._maxExtent};
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -31,7 +122,10 @@ export class Spring extends DrawnObjectBase {
         //=== YOUR CODE HERE ===
         // if w changes, assign the new value, redraw (damage it)
         if (!(v === this._w)) {
+            // damage at old size
+            this.damageAll();
             this._w = v;
+            this.invalidateLayout();
             this.damageAll();
         }  
     }
@@ -41,7 +135,10 @@ export class Spring extends DrawnObjectBase {
         //=== YOUR CODE HERE ===
         // if h changes, assign the new value, redraw (damage it)
         if (!(v === this._h)) {
+            // damage at old size
+            this.damageAll();
             this._h = v;
+            this.invalidateLayout();
             this.damageAll();
         }
     }
@@ -49,15 +146,52 @@ export class Spring extends DrawnObjectBase {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Override configuration setters to enforce elastic with zero natural size
+    // Override configuration setters to enforce elastic within our extents
     public override get wConfig() {return super.wConfig;}
     public override set wConfig(v : SizeConfigLiteral) {
-        super.wConfig = SizeConfig.elastic(0);
+        super.wConfig = this._extentConfig();
     }
 
     public override get hConfig() {return super.hConfig;}
     public override set hConfig(v : SizeConfigLiteral) {
-        super.hConfig = SizeConfig.elastic(0);
+        super.hConfig = this._extentConfig();
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Our size configuration comes from our extents rather than our current size, 
+    // so (unlike the base class) we don't set our natural size to our size here
+    protected override _doLocalSizing() : void {
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Divide the given amount of excess space among the given springs.  Each spring 
+    // starts at its natExtent and receives a share of the excess in proportion to its
+    // weight, but is held at its maxExtent with what it could not take going to the 
+    // other springs (see SizeConfig.distributeExcess()).  This returns a tuple with 
+    // a list (parallel to the springs given) of the size each spring should take on, 
+    // and the amount of excess that could not be allocated to any spring.
+    public static distributeExcess(springs : readonly Spring[], 
+                                   excess : number) : [number[], number] 
+    {
+        return SizeConfig.distributeExcess(springs.map((spr) => spr._extentConfig()),
+                                           springs.map((spr) => spr.weight), excess);
+    }
+
+    // Take the given amount of shortfall out of the given springs.  Each spring 
+    // starts at its natExtent and gives up a share of the shortfall in proportion to
+    // its weight, but is held at its minExtent with what it could not give up going 
+    // to the other springs (see SizeConfig.distributeShortfall()).  This returns a 
+    // tuple with a list (parallel to the springs given) of the size each spring 
+    // should take on, and the amount of shortfall the springs could not make up.
+    public static distributeShortfall(springs : readonly Spring[], 
+                                      shortfall : number) : [number[], number] 
+    {
+        return SizeConfig.distributeShortfall(springs.map((spr) => spr._extentConfig()),
+                                              springs.map((spr) => spr.weight), shortfall);
     }
 
 }
@@ -66,8 +200,13 @@ export class Spring extends DrawnObjectBase {
 
 export class Spring_debug extends Spring {
     // we explicitly declare a size here so we know how to draw 
-    public constructor(dir : 'w' | 'h') { 
-        super(); 
+    public constructor(dir : 'w' | 'h', 
+                       weight : number = 1, 
+                       minExtent : number = 0, 
+                       maxExtent : number = SizeConfig.INF,
+                       natExtent : number = minExtent) 
+    { 
+        super(weight, minExtent, maxExtent, natExtent); 
         // we give this a bit of size so the drawing we are doing is not clipped away
         this._direction = dir;
         if (dir === 'w') this.h = this.hConfig.nat = 20;
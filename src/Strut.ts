@@ -31,7 +31,10 @@ export class Strut extends DrawnObjectBase {
         //=== YOUR CODE HERE ===
         // if w changes, assign the new value, redraw (damage it)
         if (!(v === this._w)) {
+            // damage at old size
+            this.damageAll();
             this._w = v;
+            this.invalidateLayout();
             this.damageAll();
         } 
     }
@@ -41,7 +44,10 @@ export class Strut extends DrawnObjectBase {
         //=== YOUR CODE HERE ===        
         // if h changes, assign the new value, redraw (damage it)
         if (!(v === this._h)) {
+            // damage at old size
+            this.damageAll();
             this._h = v;
+            this.invalidateLayout();
             this.damageAll();
         }
     }
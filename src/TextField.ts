@@ -0,0 +1,596 @@
+import { DrawContext, SizeLiteral } from "./Util.js";
+import { SizeConfig } from "./SizeConfig.js";
+import { TextObject } from "./TextObject.js";
+import { Err } from "./Err.js";
+import { FontWatcher } from "./FontWatcher.js";
+
+//===================================================================
+// A function notified of a change to (or commit of) the text of a TextField
+export type TextFieldListener = (field : TextField, text : string) => void;
+
+// The parts of a keyboard event a TextField responds to (a KeyboardEvent can be
+// passed directly)
+export type TextFieldKey = {
+    key : string, shiftKey? : boolean, ctrlKey? : boolean,
+    metaKey? : boolean, altKey? : boolean
+};
+
+//===================================================================
+// An editable single line of text.  The text is measured and drawn as for
+// TextObject, but our width is independent of the text: text which doesn't fit is
+// scrolled horizontally to keep the caret in view.  (The text is always left
+// aligned, and the overflow policy of TextObject is not used.)
+//
+// There is no input dispatch in the tree, so input is delivered to the field by
+// calling its input methods: handleKey() for key presses, and pointerDown(),
+// pointerMove(), and pointerUp() (in our local coordinates) for the mouse.  These
+// support:
+//   * placing the caret, and selecting by dragging or shift-clicking,
+//   * moving the caret with the arrow keys, Home, and End (by words with Ctrl or
+//     Alt), extending the selection when Shift is held,
+//   * typing (which replaces any selection), Backspace, and Delete, and
+//   * select all, cut, copy, and paste with Ctrl (or Cmd).
+// The clipboard is accessed via navigator.clipboard when it is available (with a
+// shared internal clipboard as a fallback).
+//
+// Change listeners are notified after every edit made through input (but not when
+// the text property is set).  Commit listeners are notified when Enter is pressed,
+// or when we lose focus, if the text has been edited since it was last committed.
+// The caret and selection are only shown while we are focused.
+//===================================================================
+export class TextField extends TextObject {
+
+    public constructor(
+        x          : number,
+        y          : number,
+        w          : number = 100,
+        text       : string = "",
+        font       : string = TextObject.DEFAULT_FONT,
+        padding    : SizeLiteral | number = 2,
+        color      : string | number = 'black')
+    {
+        super(x,y,text,font,padding,color);
+        this._natW = w;
+        this._w = w;
+        this._caret = this._anchor = text.length;
+        this._committedText = text;
+        this._recalcSize();
+    }
+
+    //-------------------------------------------------------------------
+    // Constants
+    //-------------------------------------------------------------------
+
+    // Width of the drawn caret
+    public static readonly CARET_W = 1;
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Our natural width (given when we are created).  Layout may stretch or compress
+    // us from this, but our width never depends on our text.
+    protected _natW : number;
+    public get natW() : number {return this._natW;}
+    public set natW(v : number) {
+        if (!(v === this._natW)) {
+            this._natW = v;
+            this._recalcSize();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Override of our text so that setting it (other than by editing) also resets
+    // our committed text to match
+    public override get text() : string {return super.text;}
+    public override set text(v : string) {
+        super.text = v;
+        this._committedText = v;
+    }
+
+    // Override of the width so we can keep the caret in view as we are resized
+    public override get w() : number {return super.w;}
+    public override set w(v : number) {
+        super.w = v;
+        this._scrollToCaret();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Position of the caret (as an index into our text).  This is also the end of the
+    // selection which moves as it is extended.  Setting this removes any selection.
+    protected _caret : number;
+    public get caret() : number {return this._caret;}
+    public set caret(v : number) {this.select(v, v);}
+
+    // The end of the selection which stays fixed as it is extended (the same as the
+    // caret when nothing is selected)
+    protected _anchor : number;
+
+    // Start and end of the selected part of our text (equal if nothing is selected)
+    public get selectionStart() : number {return Math.min(this._caret, this._anchor);}
+    public get selectionEnd() : number {return Math.max(this._caret, this._anchor);}
+
+    // The text currently selected (empty if there is no selection)
+    public get selectedText() : string {
+        return this.text.substring(this.selectionStart, this.selectionEnd);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Whether we currently have the input focus.  The caret and selection are only
+    // drawn while we do, and losing it commits any edits.
+    protected _focused : boolean = false;
+    public get focused() : boolean {return this._focused;}
+    public set focused(v : boolean) {
+        if (!(v === this._focused)) {
+            this._focused = v;
+            if (!v) {
+                this._dragging = false;
+                this.commit();
+            }
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Colors of the selection highlight and of the caret
+    protected _selectionColor : string = 'lightskyblue';
+    public get selectionColor() : string {return this._selectionColor;}
+    public set selectionColor(v : string) {
+        if (!(v === this._selectionColor)) {
+            this._selectionColor = v;
+            this.damageAll();
+        }
+    }
+
+    protected _caretColor : string = 'black';
+    public get caretColor() : string {return this._caretColor;}
+    public set caretColor(v : string) {
+        if (!(v === this._caretColor)) {
+            this._caretColor = v;
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // How far our text is scrolled to the left to keep the caret in view
+    protected _scrollX : number = 0;
+    public get scrollX() : number {return this._scrollX;}
+
+    // Whether the mouse is being dragged to extend the selection
+    protected _dragging : boolean = false;
+
+    // Our text as of the last commit
+    protected _committedText : string;
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Functions to be notified of edits and commits (see TextFieldListener)
+    protected _changeListeners : TextFieldListener[] = [];
+    protected _commitListeners : TextFieldListener[] = [];
+
+    public addChangeListener(listener : TextFieldListener) : void {
+        if (!this._changeListeners.includes(listener)) this._changeListeners.push(listener);
+    }
+
+    public removeChangeListener(listener : TextFieldListener) : void {
+        const indx = this._changeListeners.indexOf(listener);
+        if (indx !== -1) this._changeListeners.splice(indx, 1);
+    }
+
+    public addCommitListener(listener : TextFieldListener) : void {
+        if (!this._commitListeners.includes(listener)) this._commitListeners.push(listener);
+    }
+
+    public removeCommitListener(listener : TextFieldListener) : void {
+        const indx = this._commitListeners.indexOf(listener);
+        if (indx !== -1) this._commitListeners.splice(indx, 1);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Internal clipboard used when the system clipboard isn't available
+    protected static _clipboardText : string = '';
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Recalculate our size configuration based on our text.  Our height is fixed at
+    // the height of our text (plus padding) as for TextObject, but our width stays
+    // as it is, and can be changed freely (preferring our natural width).  Setting
+    // the text may shorten it, so the caret and selection are kept within it.
+    protected override _recalcSize(ctx? : DrawContext) : void {
+        // this is called from the TextObject constructor before we are set up,
+        // so we skip it then (and do it in our own constructor instead)
+        if (this._natW === undefined) return;
+
+        const size = this._measureText(this.text, this.font, ctx);
+        // (while detached, _setParent() starts the watch when we are attached)
+        if (this.parent) FontWatcher.watch(this, this._fontsUsed());
+        this._textW = size.w;
+        this._textH = size.h;
+        this._baseln = size.baseln;
+        const natH = size.h + 2 * this.padding.h;
+        this.h = natH;
+        this.wConfig = {nat: this._natW, min: 2 * this.padding.w, max: SizeConfig.INF};
+        this.hConfig = SizeConfig.fixed(natH);
+
+        this._anchor = Math.min(this._anchor, this.text.length);
+        this._caret = Math.min(this._caret, this.text.length);
+        this._scrollToCaret();
+        this.damageAll();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Select the text between the two given positions (clamped to our text).  The
+    // caret is placed at the second position.
+    public select(anchor : number, caret : number = anchor) : void {
+        const clamp = (v : number) => Math.max(0, Math.min(Math.round(v), this.text.length));
+        anchor = clamp(anchor);
+        caret = clamp(caret);
+        if (!(anchor === this._anchor && caret === this._caret)) {
+            this._anchor = anchor;
+            this._caret = caret;
+            this._scrollToCaret();
+            this.damageAll();
+        }
+    }
+
+    public selectAll() : void {this.select(0, this.text.length);}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Replace the selection (or insert at the caret if there is none) with the given
+    // text as an edit, leaving the caret after the new text.  Newlines are replaced
+    // by spaces since we only hold a single line.
+    public replaceSelection(txt : string) : void {
+        txt = txt.replace(/\r?\n|\r/g, ' ');
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        if (txt.length === 0 && start === end) return;
+
+        // set the text without resetting our committed text (see text)
+        const committed = this._committedText;
+        this.text = this.text.substring(0, start) + txt + this.text.substring(end);
+        this._committedText = committed;
+
+        this.select(start + txt.length);
+        this._notify(this._changeListeners, '(During text field change notification)');
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Notify commit listeners if our text has been edited since it was last
+    // committed
+    public commit() : void {
+        if (this.text === this._committedText) return;
+        this._committedText = this.text;
+        this._notify(this._commitListeners, '(During text field commit notification)');
+    }
+
+    // Call each of the given listeners, reporting (but otherwise ignoring) any errors
+    protected _notify(listeners : TextFieldListener[], context : string) : void {
+        for (let listener of listeners) {
+            try {
+                listener(this, this.text);
+            } catch (err) {
+                Err.handle(err, context);
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Copy the selected text to the clipboard
+    public copy() : void {
+        const txt = this.selectedText;
+        if (txt.length === 0) return;
+        TextField._clipboardText = txt;
+        if (typeof navigator !== 'undefined' && navigator.clipboard &&
+            typeof navigator.clipboard.writeText === 'function') {
+            navigator.clipboard.writeText(txt).catch((err) =>
+                Err.handle(err, '(Copying to clipboard)'));
+        }
+    }
+
+    // Copy the selected text to the clipboard, then remove it
+    public cut() : void {
+        if (this.selectionStart === this.selectionEnd) return;
+        this.copy();
+        this.replaceSelection('');
+    }
+
+    // Replace the selection with the given text, or with the text on the clipboard
+    // if none is given.  Reading the system clipboard is asynchronous, so in that
+    // case the edit is made (and a redraw requested from our TopObject, as for
+    // late image loads) once the text arrives.  If reading the system clipboard
+    // isn't supported, or is refused, our internal clipboard is used instead.
+    public paste(txt? : string) : void {
+        if (txt !== undefined) {
+            this.replaceSelection(txt);
+        } else if (typeof navigator !== 'undefined' && navigator.clipboard &&
+                   typeof navigator.clipboard.readText === 'function') {
+            const pasteLate = (clipTxt : string) => {
+                this.replaceSelection(clipTxt);
+                this._findTop()?.asynchnousLoadDamage();
+            };
+            navigator.clipboard.readText()
+                .then(pasteLate, () => pasteLate(TextField._clipboardText))
+                .catch((err) => Err.handle(err, '(Pasting from clipboard)'));
+        } else {
+            this.replaceSelection(TextField._clipboardText);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Respond to a key press while we are focused (see TextFieldKey).  Returns true
+    // if the key was used (in which case the caller should normally prevent its
+    // default action).
+    public handleKey(evt : TextFieldKey) : boolean {
+        if (!this._focused) return false;
+
+        const extend = !!evt.shiftKey;
+        const byWord = !!(evt.ctrlKey || evt.altKey);
+        // (AltGr is reported as Ctrl+Alt, so with Alt held keys are typed instead)
+        const cmd = !!(evt.ctrlKey || evt.metaKey) && !evt.altKey;
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        switch (evt.key) {
+            case 'ArrowLeft':
+                if (!extend && start !== end && !byWord) {
+                    this.select(start);
+                } else {
+                    this._moveCaret(byWord ? this._wordStartBefore(this._caret)
+                                           : this._caret - 1, extend);
+                }
+                return true;
+            case 'ArrowRight':
+                if (!extend && start !== end && !byWord) {
+                    this.select(end);
+                } else {
+                    this._moveCaret(byWord ? this._wordEndAfter(this._caret)
+                                           : this._caret + 1, extend);
+                }
+                return true;
+            case 'Home':
+                this._moveCaret(0, extend);
+                return true;
+            case 'End':
+                this._moveCaret(this.text.length, extend);
+                return true;
+            case 'Backspace':
+                if (start === end) {
+                    this._anchor = byWord ? this._wordStartBefore(start)
+                                          : Math.max(0, start - 1);
+                }
+                this.replaceSelection('');
+                return true;
+            case 'Delete':
+                if (start === end) {
+                    this._anchor = byWord ? this._wordEndAfter(end)
+                                          : Math.min(this.text.length, end + 1);
+                }
+                this.replaceSelection('');
+                return true;
+            case 'Enter':
+                this.commit();
+                return true;
+        }
+
+        if (cmd) {
+            switch (evt.key.toLowerCase()) {
+                case 'a': this.selectAll(); return true;
+                case 'c': this.copy();      return true;
+                case 'x': this.cut();       return true;
+                case 'v': this.paste();     return true;
+            }
+            return false;
+        }
+
+        // any other single character is typed
+        if (evt.key.length === 1) {
+            this.replaceSelection(evt.key);
+            return true;
+        }
+        return false;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Respond to the mouse being pressed at the given point (in our coordinates).
+    // This gives us the focus and places the caret at the nearest character boundary
+    // (extending the selection to it instead if extend is true).
+    public pointerDown(x : number, y : number, extend : boolean = false) : void {
+        this.focused = true;
+        this._dragging = true;
+        this._moveCaret(this._indexAtX(x), extend);
+    }
+
+    // Respond to the mouse moving to the given point.  While the mouse is down this
+    // extends the selection (scrolling our text if the point is beyond our ends).
+    public pointerMove(x : number, y : number) : void {
+        if (this._dragging) this._moveCaret(this._indexAtX(x), true);
+    }
+
+    // Respond to the mouse being released at the given point
+    public pointerUp(x : number, y : number) : void {
+        this.pointerMove(x, y);
+        this._dragging = false;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Move the caret to the given position, either extending the selection or
+    // removing it
+    protected _moveCaret(pos : number, extend : boolean) : void {
+        this.select(extend ? this._anchor : pos, pos);
+    }
+
+    // Start of the word before the given position, and end of the word after it
+    // (skipping any spaces first)
+    protected _wordStartBefore(pos : number) : number {
+        while (pos > 0 && this.text[pos - 1] === ' ') pos--;
+        while (pos > 0 && this.text[pos - 1] !== ' ') pos--;
+        return pos;
+    }
+
+    protected _wordEndAfter(pos : number) : number {
+        const len = this.text.length;
+        while (pos < len && this.text[pos] === ' ') pos++;
+        while (pos < len && this.text[pos] !== ' ') pos++;
+        return pos;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Horizontal offset of the given position in our text from the start of the text
+    protected _xOfIndex(indx : number, ctx? : DrawContext) : number {
+        if (indx <= 0) return 0;
+        if (indx >= this.text.length) return this._textW;
+        return this._measureText(this.text.substring(0, indx), this.font, ctx).w;
+    }
+
+    // Position in our text of the character boundary nearest the given x (in our
+    // coordinates).  We find (by binary search over measured widths) the last
+    // boundary at or before x, then pick whichever of it or the next is closer.
+    protected _indexAtX(x : number) : number {
+        const textX = x - this.padding.w + this._scrollX;
+        let lo = 0;
+        let hi = this.text.length;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (this._xOfIndex(mid) <= textX) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        if (lo < this.text.length &&
+            this._xOfIndex(lo + 1) - textX < textX - this._xOfIndex(lo)) {
+            return lo + 1;
+        }
+        return lo;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Adjust our horizontal scroll (by the minimum amount) so the caret is within the
+    // area inside our padding, without scrolling further than needed to show the end
+    // of our text
+    protected _scrollToCaret() : void {
+        // this is called from our w setter before we are set up, so we skip it then
+        if (this._caret === undefined) return;
+
+        const availW = Math.max(0, this.w - 2 * this.padding.w);
+        const caretX = this._xOfIndex(this._caret);
+        let scroll = this._scrollX;
+        if (caretX + TextField.CARET_W - scroll > availW) {
+            scroll = caretX + TextField.CARET_W - availW;
+        }
+        if (caretX - scroll < 0) scroll = caretX;
+        scroll = Math.max(0, Math.min(scroll, this._textW + TextField.CARET_W - availW));
+
+        if (!(scroll === this._scrollX)) {
+            this._scrollX = scroll;
+            this.damageAll();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Method to draw this object.  We clip to the area inside our padding, then draw
+    // the selection highlight, our text (scrolled), and the caret.  As with
+    // TextObject, we only handle left-to-right alphabetic (Latin) baseline text
+    // properly.
+    protected override _drawSelfOnly(ctx: DrawContext): void {
+        ctx.save();
+        try {
+            this.applyClip(ctx, this.padding.w, 0,
+                           Math.max(0, this.w - 2 * this.padding.w), this.h);
+
+            const left = this.padding.w - this._scrollX;
+            const top = this._textTop();
+            const start = this.selectionStart;
+            const end = this.selectionEnd;
+            if (this._focused && start !== end) {
+                const startX = this._xOfIndex(start, ctx);
+                ctx.fillStyle = this._selectionColor;
+                ctx.fillRect(left + startX, top, this._xOfIndex(end, ctx) - startX,
+                             this._textH);
+            }
+
+            const clr = (typeof this.color === 'number') ?
+                        '#' + ('000000' + this.color.toString(16)).slice(-6) :
+                        this.color.toString();
+            ctx.font = this.font;
+            ctx.fillStyle = clr;
+            ctx.strokeStyle = clr;
+            ctx.textBaseline = 'alphabetic';
+            ctx.textAlign = 'left';
+            if (this.renderType === 'fill') {
+                ctx.fillText(this.text, left, this.baseline);
+            } else {
+                ctx.strokeText(this.text, left, this.baseline);
+            }
+
+            if (this._focused && start === end) {
+                ctx.fillStyle = this._caretColor;
+                ctx.fillRect(left + this._xOfIndex(this._caret, ctx), top,
+                             TextField.CARET_W, this._textH);
+            }
+        } finally {
+            ctx.restore();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end of TextField class
+
+//===================================================================
+
+export class TextField_debug extends TextField {
+    public constructor(
+        x          : number,
+        y          : number,
+        w          : number = 100,
+        text       : string = "",
+        font       : string = TextObject.DEFAULT_FONT,
+        padding    : SizeLiteral | number = 2,
+        color      : string | number = 'black')
+    {
+        super(x,y,w,text,font,padding,color);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // color we draw the background in
+    public debugColor : string = 'white';
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Fill our extent and outline it behind the normal field output (with a
+    // heavier outline while we are focused)
+    protected override _drawSelfOnly(ctx: DrawContext): void {
+        ctx.save();
+        try {
+            ctx.fillStyle = this.debugColor;
+            ctx.fillRect(0,0,this.w,this.h);
+            ctx.strokeStyle = 'black';
+            ctx.lineWidth = this.focused ? 2 : 1;
+            ctx.strokeRect(0,0,this.w,this.h);
+        } finally {
+            ctx.restore();
+        }
+        super._drawSelfOnly(ctx);
+    }
+} // end of TextField_debug class
+
+//===================================================================
@@ -1,9 +1,21 @@
-import { DrawContext, SizeLiteral, RenderOp } from "./Util.js";
+import { DrawContext, SizeLiteral, RenderOp, TextHAlign, TextVAlign, 
+         TextOverflow } from "./Util.js";
 import { DrawnObjectBase } from "./DrawnObjectBase.js";
 import { SizeConfig } from "./SizeConfig.js";
+import { FontWatcher } from "./FontWatcher.js";
 
 //===================================================================
 // Object that displays a single text string on one line
+//
+// By default this object is fixed at the size of its text (plus padding).  If 
+// elasticW is set, its width can instead be changed (e.g., by layout): it prefers 
+// the width of its text, but can be stretched or compressed.  The text is placed 
+// within our bounds according to hAlign and vAlign, and text which doesn't fit our 
+// width is handled according to our overflow policy (e.g., by replacing part of it 
+// with an ellipsis).
+//
+// If our font is still loading when our text is measured, we are re-measured 
+// (and redrawn) once it arrives (see FontWatcher).
 //===================================================================
 export class TextObject extends DrawnObjectBase {
     
@@ -87,7 +99,9 @@ export class TextObject extends DrawnObjectBase {
 
     // Extra space placed around the text when determining the size of this object.
     // The setter here will allow either a SizeLiteral breaking out separate width and 
-    // height padding, or a single number which will be applied to both.
+    // height padding, or a single number which will be applied to both.  The width 
+    // padding is placed on both the left and right, and the height padding on both 
+    // the top and bottom.
     protected _padding: SizeLiteral;
     public get padding() : SizeLiteral {return this._padding;}
     public set padding(v : SizeLiteral | number) {
@@ -119,56 +133,193 @@ export class TextObject extends DrawnObjectBase {
     public get color() : string | number {return this._color;}
     public set color(v : string | number) {this._color = v;}
 
-    // check if the w and h value of text is already set
-    public checkEditedW = false;
-    public checkEditedH = false;
-    // Override w & h setters so they enforce fixed size
-    public override get w() {return super.w;}  
-    public override set w(v : number) {
-        // if set once, we no longer change it --non-resizable
-        if (this.checkEditedW){
-            return
+    // Measured width and height of our text, and the distance from the top of the
+    // text to its baseline (as measured along with our size)
+    protected _textW : number = 0;
+    protected _textH : number = 0;
+    protected _baseln : number = 0;
+
+    // Distance from the top of this object to the baseline of the text (which 
+    // depends on our vertical alignment)
+    public override get baseline() : number {return this._textTop() + this._baseln;}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Whether our width is elastic.  If not (the default) our width is fixed at the
+    // width of our text.  Otherwise we prefer that width, but can be given any other
+    // width (down to what is needed to show an ellipsis, if our overflow policy uses
+    // one).
+    protected _elasticW : boolean = false;
+    public get elasticW() : boolean {return this._elasticW;}
+    public set elasticW(v : boolean) {
+        if (!(v === this._elasticW)) {
+            this._elasticW = v;
+            this._recalcSize();
         }
-        // else, we set the value for w
-        this.checkEditedW = true;
-        this._wConfig = SizeConfig.fixed(v);
-        this._w = v;
-        this.damageAll();
+    }
 
+    // Horizontal and vertical alignment of our text within our bounds (inside our 
+    // padding).  These only matter when our size differs from that of our text.
+    protected _hAlign : TextHAlign = 'left';
+    public get hAlign() : TextHAlign {return this._hAlign;}
+    public set hAlign(v : TextHAlign) {
+        if (!(v === this._hAlign)) {
+            this._hAlign = v;
+            // (unlike vAlign, this doesn't move our baseline, so no relayout needed)
+            this.damageAll();
+        }
+    }
 
+    protected _vAlign : TextVAlign = 'top';
+    public get vAlign() : TextVAlign {return this._vAlign;}
+    public set vAlign(v : TextVAlign) {
+        if (!(v === this._vAlign)) {
+            this._vAlign = v;
+            this._parent?.invalidateLayout();  // (our baseline moves)
+            this.damageAll();
+        }
     }
 
-    public override get h() {return super.h;}
-    public override set h(v : number) {
-        // if set once, we no longer change it--non-resizable
-        if (this.checkEditedH){
-            return
+    // What is done with text that doesn't fit within our width (see TextOverflow)
+    protected _overflow : TextOverflow = 'clip';
+    public get overflow() : TextOverflow {return this._overflow;}
+    public set overflow(v : TextOverflow) {
+        if (!(v === this._overflow)) {
+            this._overflow = v;
+            this._recalcSize();
         }
-        // else, we set the value for h
-        this.checkEditedH = true;
-        this._hConfig = SizeConfig.fixed(v);
-        this._h = v;
-        this.damageAll();
-       
     }
 
+    // The string used to replace text which doesn't fit
+    public static readonly ELLIPSIS = '\u2026';
+
     //-------------------------------------------------------------------
     // Methods
     //-------------------------------------------------------------------
 
-    // Recalculate the size of this object based on the size of the text
+    // Recalculate the size of this object based on the size of the text.  We are set
+    // to our natural size (the size of the text plus padding), and our size 
+    // configuration is fixed at that size, except for the width when elasticW is set.
     protected _recalcSize(ctx? : DrawContext) : void {
         //=== YOUR CODE HERE ===
         // set the width and height to the new value calculated from new text/font
         let size = this._measureText(this.text, this.font, ctx);
-        this.w = size.w;
-        this.h = size.h;
-        // set the size configuration to be fixed at that size
-        this.wConfig = SizeConfig.fixed(this.w);
-        this.hConfig = SizeConfig.fixed(this.h);
+        // (while detached, _setParent() starts the watch when we are attached)
+        if (this.parent) FontWatcher.watch(this, this._fontsUsed());
+        this._textW = size.w;
+        this._textH = size.h;
+        this._baseln = size.baseln;
+        const natW = size.w + 2 * this.padding.w;
+        const natH = size.h + 2 * this.padding.h;
+        this.w = natW;
+        this.h = natH;
+
+        // set the size configuration to be fixed at that size (or elastic)
+        if (this._elasticW) {
+            let minW = 2 * this.padding.w;
+            if (this._overflow !== 'clip') {
+                minW += this._measureText(TextObject.ELLIPSIS, this.font, ctx).w;
+            }
+            this.wConfig = {nat: natW, min: Math.min(minW, natW), max: SizeConfig.INF};
+
+            // we may have been laid out at a different width, so make sure that 
+            // happens again
+            this._parent?.invalidateLayout();
+        } else {
+            this.wConfig = SizeConfig.fixed(natW);
+        }
+        this.hConfig = SizeConfig.fixed(natH);
         // we get new size information, update
         this.damageAll()
     }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The fonts we use (which are registered with FontWatcher)
+    protected _fontsUsed() : string[] {return [this.font];}
+
+    // Override so we stop waiting on fonts when we are removed from the tree (and
+    // start again if we are put back)
+    protected override _setParent(newParent : DrawnObjectBase | undefined) : void {
+        super._setParent(newParent);
+        if (newParent) {
+            FontWatcher.watch(this, this._fontsUsed());
+        } else {
+            FontWatcher.unwatch(this);
+        }
+    }
+
+    // Respond to a font we use finishing loading (see FontWatcher) by re-measuring
+    // our text.  As with late image loads, this happens outside of the normal
+    // redraw cycle, so we ask our TopObject for an extra redraw.
+    public fontLoaded() : void {
+        this._recalcSize();
+        this.damageAll();
+        this._findTop()?.asynchnousLoadDamage();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the size configuration for this object.  Our configuration is determined 
+    // by our text (in _recalcSize()) rather than our current size, so is left alone.
+    protected override _doLocalSizing() : void {
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Position of the left of our text (which is displayed with the given width) 
+    // according to our horizontal alignment
+    protected _textLeft(displayW : number) : number {
+        switch (this._hAlign) {
+            case 'left':   return this.padding.w;
+            case 'center': 
+                return this.padding.w + (this.w - 2 * this.padding.w - displayW) / 2;
+            case 'right':  return this.w - this.padding.w - displayW;
+        }
+    }
+
+    // Position of the top of our text according to our vertical alignment
+    protected _textTop() : number {
+        switch (this._vAlign) {
+            case 'top':    return this.padding.h;
+            case 'center': 
+                return this.padding.h + (this.h - 2 * this.padding.h - this._textH) / 2;
+            case 'bottom': return this.h - this.padding.h - this._textH;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Determine the string we actually display: our text if it fits within our 
+    // width (inside our padding), and otherwise the text as modified by our overflow
+    // policy.  For ellipsis policies, we find (by binary search over measured widths)
+    // the most characters we can keep along with the ellipsis.
+    protected _displayText(ctx? : DrawContext) : string {
+        const availW = this.w - 2 * this.padding.w;
+        if (this._textW <= availW || this._overflow === 'clip') return this.text;
+
+        const txt = this.text;
+        const shortened = (keep : number) : string => {
+            if (this._overflow === 'ellipsis') {
+                return txt.substring(0, keep) + TextObject.ELLIPSIS;
+            }
+            const head = Math.ceil(keep / 2);
+            return txt.substring(0, head) + TextObject.ELLIPSIS + 
+                   txt.substring(txt.length - (keep - head));
+        };
+
+        let lo = 0;                 // (we can always keep nothing)
+        let hi = txt.length - 1;    // (we know we can't keep everything)
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (this._measureText(shortened(mid), this.font, ctx).w <= availW) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return shortened(lo);
+    }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
@@ -194,14 +345,22 @@ export class TextObject extends DrawnObjectBase {
             // draw with the target font and color
             ctx.font = this.font;
             ctx.fillStyle = clr;
-            // we need to draw the text align with the drawn baseline
-            let size = this._measureText(this.text, this.font, ctx);
+            ctx.strokeStyle = clr;
+            ctx.textBaseline = 'alphabetic';
+            ctx.textAlign = 'left';
+
+            // work out what we display and where (aligned within our bounds, with 
+            // the text on our baseline)
+            const txt = this._displayText(ctx);
+            const txtW = (txt === this.text) ? this._textW : 
+                                               this._measureText(txt, this.font, ctx).w;
+            const left = this._textLeft(txtW);
             if (this._renderType === 'fill') {
                 // if we need to fill, use fill text
-                ctx.fillText(this._text, 0, size.baseln);
+                ctx.fillText(txt, left, this.baseline);
             } else {
                 // if not fill, use stroke
-                ctx.strokeText(this._text,0, size.baseln);
+                ctx.strokeText(txt, left, this.baseline);
             }
 
 
@@ -271,12 +430,9 @@ export class TextObject_debug extends TextObject {
             ctx.direction = 'ltr';           // handling left-to-right text only
             ctx.textAlign = 'left'; 
             
-            // measure our text in order to get the baseline position
-            const meas = this._measureText(this.text, this.font, ctx);
-
             ctx.beginPath();
             ctx.strokeStyle = (this.debugColor !== 'black') ? 'black' : 'white';
-            ctx.moveTo(0,meas.baseln); ctx.lineTo(this.w,meas.baseln); ctx.stroke();
+            ctx.moveTo(0,this.baseline); ctx.lineTo(this.w,this.baseline); ctx.stroke();
             ctx.beginPath();
 
             // the super class does the the regular drawing over the top
@@ -1,7 +1,12 @@
-import { DrawContext } from "./Util.js";
+import { DrawContext, SizeLiteral, RectLiteral, rectArea, unionRects, intersectRects } from "./Util.js";
 import { Err } from "./Err.js";
 import { DrawnObjectBase } from "./DrawnObjectBase.js";
 
+//===================================================================
+// A function notified when a TopObject changes size, after its new size has been set
+// but before the resulting layout and redraw.
+export type ResizeListener = (top : TopObject, oldSize : SizeLiteral) => void;
+
 //===================================================================
 // Class for the object that serves as the root/top of a drawing object tree.
 // This object is associated with a particular canvas and sets things
@@ -16,9 +21,25 @@ import { DrawnObjectBase } from "./DrawnObjectBase.js";
 // There are also special methods in this class to respond when asynchronous image
 // loading completes -- these cause a call to layoutAndDamage() in order to make 
 // those images appear correctly.
+//
+// The tree works in CSS pixels: our w and h are the size the canvas is displayed at.
+// To keep drawing (and in particular text) sharp on high density displays, the 
+// canvas backing store is made pixelRatio times larger than that, and the drawing
+// context is scaled to match when we draw.  By default the pixel ratio follows the
+// device pixel ratio of the window (which changes, e.g., when the browser is zoomed
+// or the window is moved to a different display).
+//
+// We also track the size the canvas is displayed at (optionally making it fill its
+// containing element).  When that changes we resize ourselves to match, notify any
+// resize listeners (which can, e.g., switch to a different layout when the size 
+// crosses some breakpoint), then re-do layout and redraw.
 //===================================================================
 export class TopObject extends DrawnObjectBase {
-    public constructor(canvasID : string) {
+    public constructor(
+        canvasID : string, 
+        pixelRatio? : number,           // fixed pixel ratio (default follows the device)
+        fillContainer : boolean = false) // make the canvas fill its parent element
+    {
         super(0,0);
 
         // get the canvas object we will draw on and set our w/h to match that
@@ -28,6 +49,21 @@ export class TopObject extends DrawnObjectBase {
         this._h = this._owningCanvas.height;
         this._visible = true;
 
+        // set up the backing store of the canvas for our pixel ratio.  unless the 
+        // canvas has already been given a CSS size, we keep it displayed at the size 
+        // given by its width and height attributes (in CSS pixels).
+        const style = this._owningCanvas.style;
+        if (!style.width)  style.width  = `${this._w}px`;
+        if (!style.height) style.height = `${this._h}px`;
+        this._followDevicePixelRatio = (pixelRatio === undefined);
+        this._pixelRatio = pixelRatio ?? TopObject.devicePixelRatio();
+        this._configureBackingStore();
+        if (this._followDevicePixelRatio) this._watchDevicePixelRatio();
+
+        // track the display size of the canvas from now on
+        this.fillContainer = fillContainer;
+        this.trackCanvasSize = true;
+
         // cache the drawing context we've seen here for possible use in text measurement 
         // within objects detached from the tree
         DrawnObjectBase._drawContextCache = this._canvasContext;
@@ -57,17 +93,110 @@ export class TopObject extends DrawnObjectBase {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Number of canvas (backing store) pixels per CSS pixel.  Setting this fixes the 
+    // ratio, so it no longer follows the device pixel ratio.
+    protected _pixelRatio : number;
+    public get pixelRatio() : number {return this._pixelRatio;}
+    public set pixelRatio(v : number) {
+        this._followDevicePixelRatio = false;
+        this._setPixelRatio(v);
+    }
+
+    // Whether our pixel ratio follows the device pixel ratio of the window
+    protected _followDevicePixelRatio : boolean;
+    public get followDevicePixelRatio() : boolean {return this._followDevicePixelRatio;}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Whether the canvas is made to fill its containing element (via CSS).  When this 
+    // is false the canvas is kept displayed at our current size.
+    protected _fillContainer : boolean = false;
+    public get fillContainer() : boolean {return this._fillContainer;}
+    public set fillContainer(v : boolean) {
+        const style = this._owningCanvas.style;
+        if (v) {
+            style.display = 'block';
+            style.width = '100%';
+            style.height = '100%';
+        } else if (this._fillContainer) {
+            style.width = `${this._w}px`;
+            style.height = `${this._h}px`;
+        }
+        this._fillContainer = v;
+        this.updateCanvasSize();
+    }
+
+    // Whether we observe the canvas, and automatically resize ourselves, re-do 
+    // layout, and redraw whenever its display size changes.  (Redraw happens in the 
+    // same way as for asynchronous image loads, see asynchnousLoadDamage().)
+    protected _resizeObserver : ResizeObserver | undefined = undefined;
+    public get trackCanvasSize() : boolean {return this._resizeObserver !== undefined;}
+    public set trackCanvasSize(v : boolean) {
+        if (v === this.trackCanvasSize) return;
+        if (v) {
+            if (typeof ResizeObserver === 'undefined') return;
+            this._resizeObserver = new ResizeObserver(() => {
+                const oldW = this._w;
+                const oldH = this._h;
+                this.updateCanvasSize();
+                if (this._w !== oldW || this._h !== oldH) this.asynchnousLoadDamage();
+            });
+            this._resizeObserver.observe(this._owningCanvas);
+        } else {
+            this._resizeObserver?.disconnect();
+            this._resizeObserver = undefined;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Functions to be notified whenever we change size (see ResizeListener)
+    protected _resizeListeners : ResizeListener[] = [];
+
+    public addResizeListener(listener : ResizeListener) : void {
+        if (!this._resizeListeners.includes(listener)) this._resizeListeners.push(listener);
+    }
+
+    public removeResizeListener(listener : ResizeListener) : void {
+        const indx = this._resizeListeners.indexOf(listener);
+        if (indx !== -1) this._resizeListeners.splice(indx, 1);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The current device pixel ratio of the window (1 if that isn't available)
+    public static devicePixelRatio() : number {
+        if (typeof window === 'undefined' || !window.devicePixelRatio) return 1;
+        return window.devicePixelRatio;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
     // Is this tree currently damaged (something about our layout or display may no
     // longer reflect the state of the objects in the tree)
     protected _damaged : boolean;
     public get damaged() {return this._damaged;}
 
-    // A record of the rectangle that completely covers any areas that have been
-    // declared as damaged
-    protected _damageRectX : number = 0;
-    protected _damageRectY : number = 0;
-    protected _damageRectW : number = 0;
-    protected _damageRectH : number = 0;
+    // A record of the areas that have been declared as damaged since the last redraw.
+    // This is kept as a small list of rectangles (within our bounds) which together
+    // cover all the damage.  Damage rectangles are merged when that doesn't add much
+    // undamaged area, or when there would otherwise be too many of them (see 
+    // damageArea()).
+    protected _damageRects : RectLiteral[] = [];
+    public get damageRects() : readonly RectLiteral[] {return this._damageRects;}
+
+    // The bounding box of all the current damage (or undefined if there is none)
+    public get damageBounds() : RectLiteral | undefined {
+        if (this._damageRects.length === 0) return undefined;
+        return this._damageRects.reduce(unionRects);
+    }
+
+    // Maximum number of separate damage rectangles we keep
+    public static readonly MAX_DAMAGE_RECTS = 8;
+
+    // Two damage rectangles are merged when the area their union would add (beyond 
+    // what they cover themselves) is no more than this fraction of the union's area
+    public static readonly DAMAGE_MERGE_WASTE = 0.25;
 
     // Internal flag indicating that an asynchronous image load has caused damage
     // and the next time allowAsyncDamageRedraw has been enabled, we should force
@@ -125,9 +254,9 @@ export class TopObject extends DrawnObjectBase {
     // areas through the normal means, prior to calling this method.
     public layoutAndDrawAll() : void {
         
-        this._damaged = true;
-        // only do something if we have been damaged since the last redraw
-        if (this.damaged) {
+        // only do something if we have been damaged (or need layout) since the last 
+        // redraw
+        if (this.damaged || this.needsLayout) {
 
             // save the async damage setting so we can restore it
             const saveAsyncSetting = this.allowAsyncDamageRedraw;
@@ -150,7 +279,9 @@ export class TopObject extends DrawnObjectBase {
             }
 
             // layout might have declared damage, but won't be damaged after doing this
-            // redraw
+            // redraw, so take the damage to be redrawn and reset our damage tracking
+            const damage = this._damageRects;
+            this._damageRects = [];
             this._damaged = false;
 
             // we are going to change the drawing context so save it first
@@ -166,24 +297,30 @@ export class TopObject extends DrawnObjectBase {
 
                 // clip to our bounds
                 
+                // scale so that we (and everything below us) draw in CSS pixels
+                this.canvasContext.setTransform(this._pixelRatio, 0, 0, 
+                                                this._pixelRatio, 0, 0);
+
                 //=== YOUR CODE HERE ==
                 // clip to our bounds
                 this.applyClip(this.canvasContext, this._x,this._y, this.w, this.h);
                 
                 
                 //=== YOUR CODE HERE ===
-                // within our bounds clip to just the damaged region
-                this.applyClip(this.canvasContext, this._damageRectX, this._damageRectY, this._damageRectW, this._damageRectH);
-
-                // after this we will no longer be damaged, so reset our damage tracking
-                // rectangle to be our whole bounds
-                this._damageRectX = this._damageRectY = 0;
-                this._damageRectW = this.w;
-                this._damageRectH = this.h;
+                // within our bounds clip to just the damaged region (the union of
+                // the damage rectangles)
+                this.canvasContext.beginPath();
+                for (let r of damage) this.canvasContext.rect(r.x, r.y, r.w, r.h);
+                this.canvasContext.clip();
 
                 
                 //=== YOUR CODE HERE ===
-                // / do the actual drawing from here down the tree
+                // / do the actual drawing from here down the tree (culling anything
+                // outside the damaged area, and counting what gets drawn)
+                this._drawArea = (damage.length > 0) ? damage.reduce(unionRects) : 
+                                                       {x:0, y:0, w:0, h:0};
+                DrawnObjectBase.resetDrawCounts();
+                DrawnObjectBase._drawnCount++;
                 this.draw(this.canvasContext);
 
             } catch(err) {
@@ -215,16 +352,61 @@ export class TopObject extends DrawnObjectBase {
 
     // Override the routine that declares damage for this object to record the 
     // damage instead of passing it up the tree (since there is no up  from here).
+    //
+    // The damage (limited to our bounds) is added to our list of damage rectangles.
+    // It is merged with any existing rectangle where the merge doesn't waste too much
+    // area (see DAMAGE_MERGE_WASTE), and if that leaves us with too many rectangles
+    // (see MAX_DAMAGE_RECTS) the pair whose merge wastes the least is merged.
     public override damageArea(xv: number, yv: number, wv: number, hv: number): void {
         //=== YOUR CODE HERE ===
-        // set the damage area coordinates to what gived
-        this._damageRectX = xv;
-        this._damageRectY = yv;
-        this._damageRectW = wv;
-        this._damageRectH = hv;
+        let rect = intersectRects({x:xv, y:yv, w:wv, h:hv}, {x:0, y:0, w:this.w, h:this.h});
+        if (!rect) return;
+
+        // merge with existing rectangles as long as we find one worth merging with
+        const rects = this._damageRects;
+        for (let i = 0; i < rects.length; ) {
+            const union = unionRects(rects[i], rect);
+            if (this._mergeWaste(rects[i], rect) <= 
+                TopObject.DAMAGE_MERGE_WASTE * rectArea(union)) 
+            {
+                rects.splice(i, 1);
+                rect = union;
+                i = 0;
+            } else {
+                i++;
+            }
+        }
+        rects.push(rect);
+
+        // if we have too many rectangles merge the cheapest pair
+        if (rects.length > TopObject.MAX_DAMAGE_RECTS) {
+            let best : [number, number] = [0, 1];
+            let bestWaste = Infinity;
+            for (let i = 0; i < rects.length; i++) {
+                for (let j = i + 1; j < rects.length; j++) {
+                    const waste = this._mergeWaste(rects[i], rects[j]);
+                    if (waste < bestWaste) {
+                        bestWaste = waste;
+                        best = [i, j];
+                    }
+                }
+            }
+            const [i, j] = best;
+            const union = unionRects(rects[i], rects[j]);
+            rects.splice(j, 1);
+            rects.splice(i, 1, union);
+        }
+
         // flag to notify need redraw
         this._damaged = true;
     }
+
+    // Area which merging the two given rectangles would add beyond what they cover
+    protected _mergeWaste(r1 : RectLiteral, r2 : RectLiteral) : number {
+        const overlap = intersectRects(r1, r2);
+        const covered = rectArea(r1) + rectArea(r2) - (overlap ? rectArea(overlap) : 0);
+        return rectArea(unionRects(r1, r2)) - covered;
+    }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .  
     
@@ -242,7 +424,11 @@ export class TopObject extends DrawnObjectBase {
     // and this patches that up by doing an extra draw at the point an asynchronous 
     // load completes.
     public asynchnousLoadDamage() { 
-        if (!this.allowAsyncDamageRedraw) return;
+        if (!this.allowAsyncDamageRedraw) {
+            // remember to do this once redraws are allowed again
+            this._haveAsyncDamage = true;
+            return;
+        }
         
         // clear the record of any asynch damage that was held back
         this._haveAsyncDamage = false;
@@ -259,10 +445,109 @@ export class TopObject extends DrawnObjectBase {
     // _sizingLaoutPass() method defined in the base class.  After size configurtions
     // have been established the second pass establishes the actual size and position
     // of each object.  This is done with the _completeLayout() method defined in the
-    // base class.
+    // base class.  In between, we do the negotiation step for our own children (see 
+    // _negotiateHeights()), since we have no parent to do it for us.  Both passes 
+    // skip any parts of the tree whose layout has not been invalidated since the last 
+    // layout (see DrawnObjectBase.invalidateLayout()).
     protected _performLayout() : void {
-        this._sizingLayoutPass();
-        this._completeLayout();
+        DrawnObjectBase._layoutInProgress = true;
+        try {
+            this._sizingLayoutPass();
+            this._negotiateHeights();
+            this._completeLayout();
+        } finally {
+            DrawnObjectBase._layoutInProgress = false;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Negotiate the height of each of our children whose height depends on its width
+    // (see DrawnObjectBase.heightForWidth()).  We don't otherwise lay out our 
+    // children, so they keep their current width, and are given the natural height
+    // for that width.
+    protected _negotiateHeights() : void {
+        for (let child of this.children) {
+            if (child.heightDependsOnWidth) {
+                child.h = this._negotiateChildHeight(child, child.w).nat;
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Bring our size and the canvas backing store up to date with the size the 
+    // canvas is currently displayed at (in CSS pixels).  This should be called 
+    // whenever the CSS size of the canvas may have changed.  If the size did change,
+    // our layout is invalidated and everything is damaged.
+    public updateCanvasSize() : void {
+        const canv = this._owningCanvas;
+        // (a canvas which isn't being displayed has no client size, so keep ours)
+        if (canv.clientWidth <= 0 || canv.clientHeight <= 0) return;
+        this._setCSSSize(canv.clientWidth, canv.clientHeight);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Change our size (in CSS pixels) to match the given display size of the canvas,
+    // resizing the backing store, notifying resize listeners, and arranging for 
+    // layout and redraw as needed
+    protected _setCSSSize(cssW : number, cssH : number) : void {
+        if (cssW === this._w && cssH === this._h) return;
+        const oldSize = {w: this._w, h: this._h};
+        this._w = cssW;
+        this._h = cssH;
+        this.invalidateLayout();
+        this._configureBackingStore();
+
+        for (let listener of this._resizeListeners) {
+            try {
+                listener(this, oldSize);
+            } catch (err) {
+                Err.handle(err, '(During resize notification)');
+            }
+        }
+    }
+
+    // Change our pixel ratio, resizing the backing store and redrawing as needed
+    protected _setPixelRatio(v : number) : void {
+        if (!(v > 0)) {
+            throw new Error(`Invalid pixel ratio ${v} for ${this.tagString()}`);
+        }
+        if (v === this._pixelRatio) return;
+        this._pixelRatio = v;
+
+        // text and images may measure differently at a different resolution 
+        this.invalidateLayout();
+        this._configureBackingStore();
+    }
+
+    // Size the backing store of the canvas for our size and pixel ratio.  Resizing
+    // the backing store clears it, so everything is damaged.
+    protected _configureBackingStore() : void {
+        const canv = this._owningCanvas;
+        const backW = Math.round(this._w * this._pixelRatio);
+        const backH = Math.round(this._h * this._pixelRatio);
+        if (canv.width !== backW)  canv.width  = backW;
+        if (canv.height !== backH) canv.height = backH;
+        this.damageAll();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Arrange to be notified when the device pixel ratio changes (using a media 
+    // query for the current resolution, which stops matching at that point).  When 
+    // it does, and we are still following it, we update our pixel ratio and redraw
+    // (in the same way as for asynchronous image loads).
+    protected _watchDevicePixelRatio() : void {
+        if (typeof window === 'undefined' || !window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${TopObject.devicePixelRatio()}dppx)`);
+        query.addEventListener('change', () => {
+            if (!this._followDevicePixelRatio) return;
+            this._setPixelRatio(TopObject.devicePixelRatio());
+            this._watchDevicePixelRatio();
+            this.asynchnousLoadDamage();
+        }, {once: true});
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -13,6 +13,14 @@ export type DrawContext = CanvasRenderingContext2D;
 // Some useful object literal types for passing and return related groups of values
 export type PointLiteral = {x: number, y: number};
 export type SizeLiteral = {w: number, h: number};
+export type RectLiteral = {x: number, y: number, w: number, h: number};
+
+// Literal for space placed around the edges of something (e.g., padding or margins)
+export type InsetsLiteral = {top: number, right: number, bottom: number, left: number};
+
+// Literal for the radius of each corner of a rounded rectangle
+export type CornerRadiiLiteral = 
+    {topLeft: number, topRight: number, bottomRight: number, bottomLeft: number};
 // export type SizeConfigLiteral = {nat: number, min: number, max: number};
 
 // Literal for simple text measurement.  The baseln value here is the 
@@ -21,11 +29,68 @@ export type TextMeasure = {w : number, h : number, baseln: number};
 
 // Some useful limited value string types for various settings and operations
 export type RenderOp = 'fill' | 'stroke';
-export type WJust = 'right'| 'center' |  'left';
-export type HJust = 'top' | 'center' | 'bottom';
+export type WJust = 'right'| 'center' |  'left' | 'stretch';
+export type HJust = 'top' | 'center' | 'bottom' | 'stretch';
+
+// Vertical justification within a row, which can also align children on their 
+// text baselines
+export type RowJust = HJust | 'baseline';
+
+// Alignment of text within the bounds of the object drawing it
+export type TextHAlign = 'left' | 'center' | 'right';
+export type TextVAlign = 'top' | 'center' | 'bottom';
+
+// Policy for text which doesn't fit within the width of the object drawing it:
+//   * 'clip'             the text is simply clipped at the edges of the object
+//   * 'ellipsis'         the end of the text is replaced with an ellipsis
+//   * 'ellipsis-middle'  the middle of the text is replaced with an ellipsis
+export type TextOverflow = 'clip' | 'ellipsis' | 'ellipsis-middle';
+
+// Policy for how layout containers use excess space along their main axis: 
+//   * 'springs'  excess goes only to springs (if there are none it is left unused)
+//   * 'fill'     excess springs can't take is given to elastic non-spring children
+export type ExpandPolicy = 'springs' | 'fill';
 
 //-------------------------------------------------------------------
 // Utility functions
 //-------------------------------------------------------------------
 
-// none currently...
+// Produce an InsetsLiteral from either a full set of insets, or a single number
+// which is used for all four sides.  (A full set of insets given is copied.)
+export function toInsets(v : InsetsLiteral | number) : InsetsLiteral {
+    if (typeof v === 'number') return {top:v, right:v, bottom:v, left:v};
+    return {top:v.top, right:v.right, bottom:v.bottom, left:v.left};
+}
+
+// Produce a CornerRadiiLiteral from either a full set of radii, or a single number
+// which is used for all four corners.  (A full set of radii given is copied.)
+export function toCornerRadii(v : CornerRadiiLiteral | number) : CornerRadiiLiteral {
+    if (typeof v === 'number') return {topLeft:v, topRight:v, bottomRight:v, bottomLeft:v};
+    return {topLeft:v.topLeft, topRight:v.topRight, 
+            bottomRight:v.bottomRight, bottomLeft:v.bottomLeft};
+}
+
+// Area of a rectangle (zero for empty rectangles)
+export function rectArea(r : RectLiteral) : number {
+    return Math.max(0, r.w) * Math.max(0, r.h);
+}
+
+// Smallest rectangle covering both of the given rectangles
+export function unionRects(r1 : RectLiteral, r2 : RectLiteral) : RectLiteral {
+    const x = Math.min(r1.x, r2.x);
+    const y = Math.min(r1.y, r2.y);
+    return {x, y, w: Math.max(r1.x + r1.w, r2.x + r2.w) - x, 
+                  h: Math.max(r1.y + r1.h, r2.y + r2.h) - y};
+}
+
+// Intersection of the given rectangles (or undefined if they don't overlap)
+export function intersectRects(r1 : RectLiteral, 
+                               r2 : RectLiteral) : RectLiteral | undefined 
+{
+    const x = Math.max(r1.x, r2.x);
+    const y = Math.max(r1.y, r2.y);
+    const w = Math.min(r1.x + r1.w, r2.x + r2.w) - x;
+    const h = Math.min(r1.y + r1.h, r2.y + r2.h) - y;
+    if (w <= 0 || h <= 0) return undefined;
+    return {x, y, w, h};
+}
@@ -17,7 +17,7 @@
 //-------------------------------------------------------------------
 
 // Basic types
-import {DrawContext} from "./Util.js"
+import {DrawContext, TextOverflow} from "./Util.js"
 import {Err} from "./Err.js";
 import {DrawableImage} from "./DrawableImage.js";
 
@@ -27,12 +27,20 @@ import {TopObject} from "./TopObject.js";
 import {FilledObject} from "./FilledObject.js";
 import {TextObject, TextObject_debug} from "./TextObject.js";
 import {IconObject} from "./IconOjbect.js";
+import {MultilineTextObject_debug} from "./MultilineTextObject.js";
+import {RichTextObject_debug} from "./RichTextObject.js";
+import {TextField, TextField_debug} from "./TextField.js";
 
 // Layout related subclasses
 import {Column, Column_debug} from "./Column.js";
 import {Row, Row_debug} from "./Row.js";
 import {Strut, Strut_debug } from "./Strut.js";
 import {Spring, Spring_debug } from "./Spring.js";
+import {Grid, Grid_debug} from "./Grid.js";
+import {FlowRow, FlowRow_debug} from "./FlowRow.js";
+import {ConstraintGroup, ConstraintGroup_debug} from "./ConstraintGroup.js";
+import {AnchorGroup, AnchorGroup_debug} from "./AnchorGroup.js";
+import {ScrollView} from "./ScrollView.js";
 
 //-------------------------------------------------------------------
 
@@ -58,6 +66,19 @@ export function runTests() {
     testCol(root, 375, 300);
     testRow(root, 10, 600);
     testRowCol(root, 700, 350);
+    testGrid(root, 760, 570);
+    testFlowRow(root, 380, 160);
+    testConstraints(root, 250, 420);
+    testAnchor(root, 520, 150);
+    testScrollView(root, 860, 400);
+    testTransform(root, 560, 20);
+    testCompositing(root, 560, 100);
+    testCard(root, 720, 180);
+    testMultiline(root, 860, 180);
+    testTextOverflow(root, 860, 290);
+    testRichText(root, 560, 290);
+    testTextField(root, 560, 390);
+    testColumnWrap(root, 10, 470);
 
     // tests we are no longer using
     // testDrawableImage(root.canvasContext, 700, 300); // no longer works...
@@ -216,15 +237,10 @@ function resizer(x: number, y:number) : void {
 // function to find an object which is a first level child of the root whose
 // bounding box contains the given x,y point (AKA, the point picks that object)
 function pickFirstLevel(x:number, y:number) : DrawnObjectBase | undefined {
-    // pick in reverse of drawing order since last drawn is on top
-    for (let i = root.children.length-1; i > 0; i--) {
-        const cand = root.children[i];
-        if ((x >= cand.x) && (x <= cand.x + cand.w) &&
-            (y >= cand.y) && (y <= cand.y + cand.h)) {
-            return cand;
-         }
-    }
-    return undefined;
+    // (this picks in reverse of drawing order since last drawn is on top)
+    // text fields handle their own mouse input, so they are not resized
+    const picked = root.pickChild({x, y});
+    return (picked instanceof TextField) ? undefined : picked;
 }
 
 //-------------------------------------------------------------------
@@ -374,6 +390,281 @@ function testRowCol(top : DrawnObjectBase, x : number, y : number) {
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+function testGrid(top : DrawnObjectBase, x : number, y : number) {
+    const fnt = "16px sans-serif";
+    const g1 : Grid = new Grid_debug(x,y,250,130);
+    top.addChild(g1);
+    g1.hJustification = 'center';
+
+    // label / field pairs
+    g1.addChildInCell(new TextObject(0,0,"Name:",fnt), 0, 0);
+    g1.addChildInCell(new FilledObject(0,0,120,20,'burlywood'), 0, 2);
+    g1.addChildInCell(new TextObject(0,0,"Address:",fnt), 1, 0);
+    g1.addChildInCell(new FilledObject(0,0,150,20,'burlywood'), 1, 2);
+
+    // a spring column between labels and fields, and a spring row at the bottom
+    g1.addChildInCell(new Spring_debug('w'), 0, 1, 2, 1);
+    g1.addChildInCell(new Spring_debug('h'), 2, 0, 1, 3);
+
+    // a footer spanning all the columns
+    g1.addChildInCell(new FilledObject(0,0,200,30,'sienna'), 3, 0, 1, 3);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testFlowRow(top : DrawnObjectBase, x : number, y : number) {
+    // a set of "tags" which wrap onto new lines to fit the width of the row (with 
+    // the height of the row following the number of lines)
+    const flow : FlowRow = new FlowRow_debug(x,y,130,20);
+    top.addChild(flow);
+    for (let tag of ["layout", "text", "springs", "wrapping", "grid", "canvas"]) {
+        flow.addChild(new TextObject_debug(0,0,tag,"14px sans-serif",{w:3, h:1}));
+    }
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testConstraints(top : DrawnObjectBase, x : number, y : number) {
+    // a sidebar down the left, with a main area and a footer to its right (each 
+    // stretched to fill the group)
+    const cg : ConstraintGroup = new ConstraintGroup_debug(x,y,200,90);
+    cg.padding = 5;
+    top.addChild(cg);
+    const side = new FilledObject(0,0,40,20,'slateblue');
+    const main = new FilledObject(0,0,60,20,'lightsteelblue');
+    const foot = new FilledObject(0,0,60,15,'gray');
+    cg.addChild(side);
+    cg.addChild(main);
+    cg.addChild(foot);
+
+    cg.addConstraint(cg.attr(side,'x'), '==', cg.attr(cg,'x'));
+    cg.addConstraint(cg.attr(side,'y'), '==', cg.attr(cg,'y'));
+    cg.addConstraint(cg.attr(side,'bottom'), '==', cg.attr(cg,'bottom'));
+    cg.addConstraint(cg.attr(side,'w'), '==', 40, 'strong');
+    cg.addConstraint(cg.attr(main,'x'), '==', cg.attr(side,'right').plus(5));
+    cg.addConstraint(cg.attr(main,'right'), '==', cg.attr(cg,'right'));
+    cg.addConstraint(cg.attr(main,'y'), '==', cg.attr(cg,'y'));
+    cg.addConstraint(cg.attr(foot,'x'), '==', cg.attr(main,'x'));
+    cg.addConstraint(cg.attr(foot,'right'), '==', cg.attr(cg,'right'));
+    cg.addConstraint(cg.attr(foot,'y'), '==', cg.attr(main,'bottom').plus(5));
+    cg.addConstraint(cg.attr(foot,'bottom'), '==', cg.attr(cg,'bottom'));
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testAnchor(top : DrawnObjectBase, x : number, y : number) {
+    const a1 : AnchorGroup = new AnchorGroup_debug(x,y,160,120);
+    top.addChild(a1);
+    a1.padding = 5;
+
+    // a header row stretched across the top, a box in the bottom right corner, 
+    // and a box kept centered
+    const hdr : Row = new Row_debug();
+    hdr.addChild(new TextObject(0,0,"Header","16px sans-serif"));
+    hdr.addChild(new Spring());
+    a1.addChildAnchored(hdr, {left:0, right:0, top:0});
+    a1.addChildAnchored(new FilledObject(0,0,30,30,'tomato'), {right:0, bottom:0});
+    a1.addChildAnchored(new FilledObject(0,0,20,20,'gold'), {centerX:0, centerY:10});
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testScrollView(top : DrawnObjectBase, x : number, y : number) {
+    // a viewport onto a grid of boxes bigger than it is, scrolled so that one of 
+    // the boxes near the bottom right is in view
+    const sv = new ScrollView(x,y,140,100);
+    sv.padding = 2;
+    top.addChild(sv);
+    const content = new FilledObject(0,0,230,230,'whitesmoke');
+    sv.addChild(content);
+    let target : DrawnObjectBase | undefined;
+    for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 4; col++) {
+            const box = new FilledObject(10 + col*55, 10 + row*55, 45, 45, 
+                                         blueishColors[10 + (row*4 + col)*3]);
+            content.addChild(box);
+            if (row === 2 && col === 3) target = box;
+        }
+    }
+    if (target) sv.scrollIntoView(target);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testTransform(top : DrawnObjectBase, x : number, y : number) {
+    // a label rotated around its top left corner
+    const lbl = new TextObject_debug(x,y, "Rotated", "16px sans-serif");
+    lbl.transformOrigin = {x:0, y:0};
+    lbl.rotation = Math.PI / 6;
+    top.addChild(lbl);
+
+    // a "thumbnail" of a box with children, scaled down around its top left
+    const thumb = new FilledObject(x+90,y,100,100,'lightgray');
+    thumb.addChild(new FilledObject(10,10,80,20,'steelblue'));
+    thumb.addChild(new FilledObject(10,40,50,50,'salmon'));
+    thumb.transformOrigin = {x:0, y:0};
+    thumb.scale = 0.5;
+    top.addChild(thumb);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testCompositing(top : DrawnObjectBase, x : number, y : number) {
+    // two half transparent boxes with overlapping children: the first shows the 
+    // overlap, while the second (composited as a group) does not
+    for (let i = 0; i < 2; i++) {
+        const box = new FilledObject(x + i*70, y, 60, 40, 'transparent');
+        box.addChild(new FilledObject(0,0,40,40,'green'));
+        box.addChild(new FilledObject(20,0,40,40,'green'));
+        box.opacity = 0.5;
+        box.compositeAsGroup = (i === 1);
+        top.addChild(box);
+    }
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testCard(top : DrawnObjectBase, x : number, y : number) {
+    // a "card" with rounded corners, a border, and a shadow, whose child is clipped
+    // to the rounded corners
+    const card = new FilledObject(x,y,120,70,'white');
+    card.cornerRadii = {topLeft:12, topRight:12, bottomRight:4, bottomLeft:4};
+    card.borderColor = 'gray';
+    card.borderWidth = 2;
+    card.shadowColor = 'rgba(0,0,0,0.4)';
+    card.shadowBlur = 8;
+    card.shadowOffset = {x:3, y:3};
+    card.addChild(new FilledObject(0,0,120,20,'cornflowerblue'));
+    top.addChild(card);
+
+    // and a button with a dashed border
+    const btn = new FilledObject(x,y+90,80,24,'lightyellow');
+    btn.cornerRadii = 12;
+    btn.borderColor = 'goldenrod';
+    btn.borderDash = [4,2];
+    top.addChild(btn);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testMultiline(top : DrawnObjectBase, x : number, y : number) {
+    // a paragraph which wraps to fit its width (its height is set to match when 
+    // layout is done)
+    const para = new MultilineTextObject_debug(x,y,
+        "A longer label which wraps at word boundaries.\nAnd a second paragraph.",
+        "14px sans-serif", 2, 'black', 'fill', 1.2);
+    para.w = 150;
+    top.addChild(para);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testTextOverflow(top : DrawnObjectBase, x : number, y : number) {
+    // text compressed below its natural width with each of the overflow policies,
+    // then text centered in a box bigger than it is
+    const policies : TextOverflow[] = ['clip', 'ellipsis', 'ellipsis-middle'];
+    policies.forEach((policy, i) => {
+        const txt = new TextObject_debug(x, y + i*25, "A rather long label to shorten", 
+                                         "14px sans-serif", {w:2, h:2});
+        txt.elasticW = true;
+        txt.overflow = policy;
+        txt.w = 140;
+        top.addChild(txt);
+    });
+
+    const centered = new TextObject_debug(x, y + 75, "Centered", "14px sans-serif");
+    centered.elasticW = true;
+    centered.hAlign = 'center';
+    centered.vAlign = 'center';
+    centered.size = {w:140, h:30};
+    top.addChild(centered);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testRichText(top : DrawnObjectBase, x : number, y : number) {
+    // spans in several fonts, colors, and decorations sharing a baseline, wrapped 
+    // to fit a set width (with a word made of two spans kept together)
+    const rich = new RichTextObject_debug(x, y, [
+        {text: "Some "},
+        {text: "bold", font: "bold 14px sans-serif"},
+        {text: "er", font: "italic 14px sans-serif", color: 'blue'},
+        {text: " text with "},
+        {text: "BIG", font: "24px serif", color: 'firebrick'},
+        {text: " words, ", underline: true},
+        {text: "outlines", font: "bold 18px sans-serif", renderType: 'stroke'},
+        {text: " and "},
+        {text: "strikes", strikethrough: true, color: 0x808080},
+        {text: "."}], "14px sans-serif", 2);
+    rich.w = 170;
+    top.addChild(rich);
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testTextField(top : DrawnObjectBase, x : number, y : number) {
+    // an editable field (with a label showing its last committed text) wired up
+    // to the mouse and keyboard
+    const field = new TextField_debug(x, y, 150, "Edit me, then press Enter", 
+                                      "14px sans-serif", 3);
+    const committed = new TextObject(x, y + 25, "(nothing committed)", "12px sans-serif");
+    field.addCommitListener((fld, text) => {
+        committed.text = "committed: " + text;
+        root.layoutAndDrawAll();
+    });
+    top.addChild(field);
+    top.addChild(committed);
+
+    // mouse positions are given to the field in its own coordinates
+    const fieldPt = (evt : MouseEvent) => field.parentToLocal({x:evt.offsetX, y:evt.offsetY});
+    root.owningCanvas.addEventListener('mousedown', (evt) => {
+        if (evt.button !== 0) return;
+        const pt = fieldPt(evt);
+        if (root.pickChild({x:evt.offsetX, y:evt.offsetY}) === field) {
+            field.pointerDown(pt.x, pt.y, evt.shiftKey);
+        } else {
+            field.focused = false;
+        }
+        root.layoutAndDrawAll();
+    });
+    root.owningCanvas.addEventListener('mousemove', (evt) => {
+        const pt = fieldPt(evt);
+        field.pointerMove(pt.x, pt.y);
+        root.layoutAndDrawAll();
+    });
+    root.owningCanvas.addEventListener('mouseup', (evt) => {
+        const pt = fieldPt(evt);
+        field.pointerUp(pt.x, pt.y);
+        root.layoutAndDrawAll();
+    });
+    window.addEventListener('keydown', (evt) => {
+        if (field.handleKey(evt)) {
+            evt.preventDefault();
+            root.layoutAndDrawAll();
+        }
+    });
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+function testColumnWrap(top : DrawnObjectBase, x : number, y : number) {
+    // a row too narrow for the natural width of its contents, so the column in it is
+    // compressed, and the paragraph in the column wraps to the width it is given 
+    // (with the heights of the column and the row following the number of lines)
+    const row : Row = new Row_debug(x,y,220);
+    top.addChild(row);
+    row.addChild(new FilledObject(0,0,50,50,'steelblue'));
+    const col : Column = new Column_debug();
+    col.padding = 3;
+    row.addChild(col);
+    col.addChild(new TextObject_debug(0,0,"Wrapped","16px sans-serif"));
+    col.addChild(new MultilineTextObject_debug(0,0,
+        "A paragraph inside a column, which wraps to whatever width the row gives it.",
+        "14px sans-serif"));
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
 // This intentionally throws an exception!
 function testErr() {
     console.log("-- Testing error handler --");